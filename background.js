@@ -0,0 +1,2230 @@
+// Chrome runs this file as a service worker, so it has to pull in the shared
+// scripts itself. Firefox loads them from the manifest's background.scripts.
+if (typeof importScripts === 'function') {
+    importScripts('shared/page-types.js', 'shared/palette.js', 'shared/theme-manifest.js', 'shared/theme-bundle.js', 'shared/schedule.js', 'shared/theme-rules.js', 'shared/storage-policy.js', 'shared/css-sanitizer.js', 'shared/theme-sources.js', 'shared/switcher-settings.js', 'shared/user-css.js', 'shared/accessibility.js');
+}
+
+// Use the appropriate browser API
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// Themes directory inside the extension package (where themes are fetched from is
+// configured in shared/theme-sources.js; required files live in shared/theme-manifest.js)
+const THEMES_BASE_PATH = 'themes';
+
+// How long a source's theme list is trusted before we ask the source again
+const REGISTRY_TTL_MS = 6 * 60 * 60 * 1000;
+
+// Waits between retries of a failing source: doubling from a minute, up to the TTL
+const REGISTRY_BACKOFF_MS = 60 * 1000;
+
+// Folder names we accept from a source, so a theme can't point outside its source
+const THEME_FOLDER_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Index of the themes shipped inside the extension, so they work without a network
+const PACKAGED_THEMES_INDEX = `${THEMES_BASE_PATH}/index.json`;
+
+// Global variable to store theme configurations: the registry merged with the packaged themes
+// (the background can be shut down when idle, so always go through loadThemesConfig())
+let THEMES_CONFIG = {};
+
+// Configs of the packaged themes, read once from the extension package
+let PACKAGED_THEMES = null;
+
+// Track downloaded themes
+let DOWNLOADED_THEMES = new Set();
+
+// Track downloaded themes that have a newer version upstream
+let UPDATABLE_THEMES = new Set();
+
+// Downloads in flight, keyed by theme ID, with their progress
+const ACTIVE_DOWNLOADS = new Map();
+
+// Alarm that fires when the theme schedule reaches its next time
+const SCHEDULE_ALARM = 'theme-schedule';
+
+// Alarm that checks the theme sources for updates, so the toolbar badge shows them
+// before the popup is opened. Sources checked within REGISTRY_TTL_MS, or waiting out
+// a failure, are skipped, so most runs don't touch the network.
+const UPDATE_CHECK_ALARM = 'theme-update-check';
+const UPDATE_CHECK_PERIOD_MINUTES = 60;
+
+/**
+ * Returns the theme configuration, reading it back from storage if the
+ * background script was restarted since the last fetch
+ * @returns {Promise<Object>} Theme configuration object
+ */
+async function loadThemesConfig() {
+    if (Object.keys(THEMES_CONFIG).length === 0) {
+        const { themes_config } = await browserAPI.storage.local.get('themes_config');
+        THEMES_CONFIG = await mergePackagedThemes(themes_config || {});
+    }
+    return THEMES_CONFIG;
+}
+
+/**
+ * Reads the configs of the themes shipped in the extension package
+ * @returns {Promise<Object>} Theme configs keyed by theme ID, marked as packaged
+ */
+async function loadPackagedThemes() {
+    if (PACKAGED_THEMES) return PACKAGED_THEMES;
+
+    const packaged = {};
+    try {
+        const response = await fetch(browserAPI.runtime.getURL(PACKAGED_THEMES_INDEX));
+        if (!response.ok) {
+            throw new Error(`Packaged theme index missing: ${response.status}`);
+        }
+
+        const { themes } = await response.json();
+        for (const themeId of themes) {
+            const path = `${THEMES_BASE_PATH}/${themeId}`;
+            try {
+                const manifest = await fetch(browserAPI.runtime.getURL(`${path}/${THEME_MANIFEST_FILE}`)).then(r => r.json());
+                const { config, errors } = validateThemeManifest(manifest, path);
+                if (config) {
+                    packaged[themeId] = { ...config, packaged: true };
+                } else {
+                    console.warn(`Packaged theme ${themeId} is invalid:`, errors);
+                }
+            } catch (error) {
+                console.warn(`Could not read packaged theme ${themeId}:`, error);
+            }
+        }
+    } catch (error) {
+        console.error('Error loading packaged themes:', error);
+    }
+
+    PACKAGED_THEMES = packaged;
+    return PACKAGED_THEMES;
+}
+
+/**
+ * Combines registry themes with the packaged ones. A registry theme only replaces
+ * a packaged theme when it is a newer version; otherwise the packaged copy is used.
+ * @param {Object} registryConfig Theme configs from the registry
+ * @returns {Promise<Object>} The merged theme configs
+ */
+async function mergePackagedThemes(registryConfig) {
+    const merged = { ...registryConfig };
+    for (const [themeId, packagedConfig] of Object.entries(await loadPackagedThemes())) {
+        const registryTheme = registryConfig[themeId];
+        if (!registryTheme || compareVersions(registryTheme.version, packagedConfig.version) <= 0) {
+            merged[themeId] = packagedConfig;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Reads the configured theme sources
+ * @returns {Promise<Object[]>} The sources, the official one first
+ */
+async function loadThemeSources() {
+    const { theme_sources } = await browserAPI.storage.local.get('theme_sources');
+    return theme_sources || [DEFAULT_THEME_SOURCE];
+}
+
+/**
+ * Fetches the list of themes from every source (metadata only, not the actual CSS).
+ * Sources checked within REGISTRY_TTL_MS are skipped unless forced, unchanged sources
+ * answer 304 thanks to their ETag, and failing or rate-limited sources are left alone
+ * until their retry time - in all those cases we keep what we knew about their themes.
+ * @param {boolean} [force] Whether to ignore the TTL (a failing source still waits for its retry time)
+ * @returns {Promise<Object>} Theme configuration object
+ */
+async function fetchThemesList(force = false) {
+    const sources = await loadThemeSources();
+    const stored = await browserAPI.storage.local.get(['themes_config', 'themes_config_errors', 'theme_sources_status']);
+    const previousStatus = stored.theme_sources_status || {};
+    const now = Date.now();
+
+    const themeConfigs = {};
+    const themeErrors = {};
+    const sourceStatus = {};
+
+    for (const source of sources) {
+        const status = previousStatus[source.id] || {};
+
+        // Keep what we last knew about this source's themes
+        const keepPrevious = () => {
+            for (const [entries, previous] of [[themeConfigs, stored.themes_config], [themeErrors, stored.themes_config_errors]]) {
+                for (const [themeId, value] of Object.entries(previous || {})) {
+                    if (getThemeSourceId(themeId) === source.id) {
+                        entries[themeId] = value;
+                    }
+                }
+            }
+        };
+
+        // An index source synced from another device may be on a server this one was never
+        // granted; the options page offers to grant it rather than the fetch failing quietly
+        const origins = getThemeSourceOrigins(source);
+        if (origins.length > 0 && !(await browserAPI.permissions.contains({ origins }))) {
+            keepPrevious();
+            sourceStatus[source.id] = { ...status, error: 'Access to its server hasn\'t been granted on this device', needsAccess: true, retryAt: null };
+            continue;
+        }
+
+        const isFresh = status.updated && !status.error && now - new Date(status.updated) < REGISTRY_TTL_MS;
+        const isWaiting = status.retryAt && now < new Date(status.retryAt);
+        if ((isFresh && !force) || isWaiting) {
+            keepPrevious();
+            sourceStatus[source.id] = status;
+            continue;
+        }
+
+        try {
+            const result = source.type === 'index'
+                ? await fetchIndexSource(source, status.etag)
+                : await fetchGitHubSource(source, status.etag);
+
+            if (result.notModified) {
+                console.log(`Themes from ${source.name} haven't changed`);
+                keepPrevious();
+            } else {
+                Object.assign(themeConfigs, result.configs);
+                Object.assign(themeErrors, result.errors);
+            }
+            sourceStatus[source.id] = { error: null, updated: new Date().toISOString(), etag: result.etag || null, failures: 0 };
+        } catch (error) {
+            console.error(`Error fetching themes from ${source.name}:`, error);
+            keepPrevious();
+
+            const failures = (status.failures || 0) + 1;
+            const backoff = Math.min(REGISTRY_BACKOFF_MS * 2 ** (failures - 1), REGISTRY_TTL_MS);
+            sourceStatus[source.id] = {
+                ...status,
+                error: error.message,
+                rateLimited: Boolean(error.rateLimitReset),
+                failures,
+                retryAt: new Date(error.rateLimitReset || now + backoff).toISOString()
+            };
+        }
+    }
+
+    // Store the discovered themes configuration (just metadata, not the actual CSS)
+    const entries = {
+        'themes_config': themeConfigs,
+        'themes_config_errors': themeErrors,
+        'theme_sources_status': sourceStatus
+    };
+    const lastChecked = Object.values(sourceStatus).filter(status => !status.error).map(status => status.updated).sort().pop();
+    if (lastChecked) {
+        entries.themes_config_updated = lastChecked;
+    }
+    await browserAPI.storage.local.set(entries);
+
+    // The packaged themes are always there, even if every source failed
+    THEMES_CONFIG = await mergePackagedThemes(themeConfigs);
+    return THEMES_CONFIG;
+}
+
+/**
+ * Throws if a registry request failed, noting when a rate limit resets so
+ * fetchThemesList() can wait until then
+ * @param {Response} response The response
+ * @param {string} what What we were fetching, for the error message
+ */
+function checkRegistryResponse(response, what) {
+    if (response.ok) return;
+
+    const error = new Error(`Failed to fetch ${what}: ${response.status}`);
+    if (response.status === 403 || response.status === 429) {
+        // GitHub sends the reset time in epoch seconds; other servers may send Retry-After
+        const reset = Number(response.headers.get('x-ratelimit-reset'));
+        const retryAfter = Number(response.headers.get('retry-after'));
+        if (response.headers.get('x-ratelimit-remaining') === '0' && reset) {
+            error.rateLimitReset = reset * 1000;
+        } else if (retryAfter) {
+            error.rateLimitReset = Date.now() + retryAfter * 1000;
+        }
+        if (error.rateLimitReset) {
+            error.message = `Rate limit reached for ${what}`;
+        }
+    }
+    throw error;
+}
+
+/**
+ * Lists the themes in a GitHub repository folder, one theme per subfolder. The whole
+ * repository tree comes from a single API request; the manifests come from
+ * raw.githubusercontent.com, which doesn't count towards the API rate limit.
+ * @param {Object} source A 'github' theme source
+ * @param {string} [etag] ETag of the last tree we got, to skip an unchanged one
+ * @returns {Promise<Object>} {notModified, etag} or {etag, configs, errors} keyed by theme ID
+ */
+async function fetchGitHubSource(source, etag) {
+    const response = await fetch(
+        `https://api.github.com/repos/${source.owner}/${source.repo}/git/trees/${encodeURIComponent(source.branch)}?recursive=1`,
+        { headers: etag ? { 'If-None-Match': etag } : {} }
+    );
+    if (response.status === 304) {
+        return { notModified: true, etag };
+    }
+    checkRegistryResponse(response, `${source.owner}/${source.repo}`);
+
+    const tree = await response.json();
+    if (tree.truncated) {
+        console.warn(`The tree of ${source.owner}/${source.repo} is too big, some themes may be missing`);
+    }
+
+    // Group the files under the themes folder by theme folder
+    const prefix = source.path ? `${source.path}/` : '';
+    const folders = {};
+    for (const entry of tree.tree) {
+        if (entry.type !== 'blob' || !entry.path.startsWith(prefix)) continue;
+
+        const [folder, fileName, ...rest] = entry.path.slice(prefix.length).split('/');
+        if (!fileName || rest.length > 0 || !THEME_FOLDER_PATTERN.test(folder)) continue;
+
+        folders[folder] = folders[folder] || [];
+        folders[folder].push({ name: fileName, sha: entry.sha, size: entry.size });
+    }
+
+    const configs = {};
+    const errors = {};
+
+    // Process each theme directory
+    for (const [folder, themeFiles] of Object.entries(folders)) {
+        const themeId = getSourceThemeId(source.id, folder);
+        try {
+            const result = await loadThemeManifest(source, folder, themeFiles);
+
+            if (result.config) {
+                configs[themeId] = result.config;
+            } else {
+                console.warn(`Theme ${themeId} is invalid:`, result.errors);
+                errors[themeId] = result.errors;
+            }
+        } catch (error) {
+            console.warn(`Could not read theme ${themeId}:`, error);
+            errors[themeId] = [error.message];
+        }
+    }
+
+    return { etag: response.headers.get('etag'), configs, errors };
+}
+
+/**
+ * Lists the themes in an index file. The index either names theme folders next to it,
+ * each with a theme.json ({"themes": ["dark"]}), or has the manifests inline
+ * ({"themes": {"dark": {...}}}) so the whole list takes one request; CSS files always
+ * live in the folders.
+ * @param {Object} source An 'index' theme source
+ * @param {string} [etag] ETag of the last index we got, to skip an unchanged one
+ * @returns {Promise<Object>} {notModified, etag} or {etag, configs, errors} keyed by theme ID
+ */
+async function fetchIndexSource(source, etag) {
+    const response = await fetch(source.url, {
+        cache: 'no-cache',
+        headers: etag ? { 'If-None-Match': etag } : {}
+    });
+    if (response.status === 304) {
+        return { notModified: true, etag };
+    }
+    checkRegistryResponse(response, 'theme index');
+
+    const index = await response.json();
+    if (!index || !index.themes || typeof index.themes !== 'object') {
+        throw new Error('Not a theme index - expected a "themes" list');
+    }
+
+    const entries = Array.isArray(index.themes)
+        ? index.themes.map(folder => [folder, null])
+        : Object.entries(index.themes);
+    const configs = {};
+    const errors = {};
+
+    for (const [folder, inlineManifest] of entries) {
+        if (!THEME_FOLDER_PATTERN.test(folder)) continue;
+
+        const themeId = getSourceThemeId(source.id, folder);
+        const baseUrl = new URL(`${folder}/`, source.url).href.replace(/\/$/, '');
+        try {
+            let manifest = inlineManifest;
+            if (!manifest) {
+                const manifestResponse = await fetch(`${baseUrl}/${THEME_MANIFEST_FILE}`, { cache: 'no-cache' });
+                if (!manifestResponse.ok) {
+                    throw new Error(`could not fetch ${THEME_MANIFEST_FILE}: ${manifestResponse.status}`);
+                }
+                manifest = await manifestResponse.json();
+            }
+
+            const result = validateThemeManifest(manifest, folder);
+            if (result.config) {
+                configs[themeId] = { ...result.config, source: source.id, baseUrl };
+            } else {
+                console.warn(`Theme ${themeId} is invalid:`, result.errors);
+                errors[themeId] = result.errors;
+            }
+        } catch (error) {
+            console.warn(`Could not read theme ${themeId}:`, error);
+            errors[themeId] = [error.message];
+        }
+    }
+
+    return { etag: response.headers.get('etag'), configs, errors };
+}
+
+/**
+ * Fetches and validates the theme.json of a single theme directory
+ * @param {Object} source The 'github' theme source the folder belongs to
+ * @param {string} themeName Name of the theme folder
+ * @param {Array<{name: string, sha: string, size: number}>} themeFiles The files in that folder, from the repository tree
+ * @returns {Promise<{config: (Object|null), errors: string[]}>} The theme config or its problems
+ */
+async function loadThemeManifest(source, themeName, themeFiles) {
+    const manifestFile = themeFiles.find(f => f.name === THEME_MANIFEST_FILE);
+    if (!manifestFile) {
+        return { config: null, errors: [`missing ${THEME_MANIFEST_FILE}`] };
+    }
+
+    const themePath = source.path ? `${source.path}/${themeName}` : themeName;
+    const response = await fetch(buildGitHubUrl(source, `${themePath}/${THEME_MANIFEST_FILE}`), { cache: 'no-cache' });
+    if (!response.ok) {
+        return { config: null, errors: [`could not fetch ${THEME_MANIFEST_FILE}: ${response.status}`] };
+    }
+
+    let manifest;
+    try {
+        manifest = await response.json();
+    } catch (error) {
+        return { config: null, errors: [`${THEME_MANIFEST_FILE} is not valid JSON`] };
+    }
+
+    const result = validateThemeManifest(manifest, themePath);
+    if (!result.config) return result;
+
+    // Make sure every file the manifest points at actually exists
+    const fileNames = new Set(themeFiles.map(f => f.name));
+    const missing = Object.values(getThemeFiles(result.config)).filter(name => !fileNames.has(name));
+    if (result.config.screenshot && !fileNames.has(result.config.screenshot)) {
+        missing.push(result.config.screenshot);
+    }
+    if (missing.length > 0) {
+        return { config: null, errors: missing.map(name => `listed file ${name} does not exist`) };
+    }
+
+    // Remember each file's blob SHA so we can spot upstream changes later, and
+    // add up their sizes for the gallery
+    result.config.shas = {};
+    result.config.size = 0;
+    for (const [fileType, fileName] of Object.entries(getThemeFiles(result.config))) {
+        const file = themeFiles.find(f => f.name === fileName);
+        result.config.shas[fileType] = file.sha;
+        result.config.size += file.size || 0;
+    }
+
+    // Palette themes live entirely in their manifest
+    if (result.config.palette) {
+        result.config.shas.manifest = manifestFile.sha;
+    }
+
+    result.config.source = source.id;
+    result.config.baseUrl = buildGitHubUrl(source, themePath);
+    return result;
+}
+
+/**
+ * Check if a theme is already downloaded
+ * @param {string} themeId The theme ID to check
+ * @returns {Promise<boolean>} Whether the theme is downloaded
+ */
+async function isThemeDownloaded(themeId) {
+    // Check if the palette, or the CSS for any page type, is in storage
+    try {
+        const paletteKey = `${themeId}-palette`;
+        const keys = Object.keys(PAGE_TYPES).map(fileType => `${themeId}-${fileType}`);
+        const result = await browserAPI.storage.local.get([paletteKey, ...keys]);
+        
+        // A download stores all of a theme's files at once, so any of them means it's all there
+        return Boolean(result[paletteKey]) || keys.some(key => result[key] && result[key].length > 0);
+    } catch (error) {
+        console.error(`Error checking if theme ${themeId} is downloaded:`, error);
+        return false;
+    }
+}
+
+/**
+ * Re-checks which of the known themes are fully downloaded
+ * @param {Object} themesConfig The theme configuration object
+ * @returns {Promise<Set<string>>} IDs of downloaded themes
+ */
+async function refreshDownloadedThemes(themesConfig) {
+    const checks = Object.keys(themesConfig).map(themeId =>
+        isThemeDownloaded(themeId).then(isDownloaded => ({ themeId, isDownloaded }))
+    );
+
+    const results = await Promise.all(checks);
+    DOWNLOADED_THEMES = new Set(results.filter(r => r.isDownloaded).map(r => r.themeId));
+    return DOWNLOADED_THEMES;
+}
+
+/**
+ * Builds a GitHub raw content URL for a path in a source's repository
+ * @param {Object} source A 'github' theme source
+ * @param {string} filePath Path in the repository
+ * @returns {string} The complete GitHub raw URL
+ */
+function buildGitHubUrl(source, filePath) {
+    return `https://raw.githubusercontent.com/${source.owner}/${source.repo}/${source.branch}/${filePath}`;
+}
+
+/**
+ * Works out where to fetch a theme file from: the extension package for packaged
+ * themes, the theme's source for everything else
+ * @param {Object} themeConfig The theme's config
+ * @param {string} fileName CSS (or screenshot) file name from the theme's manifest
+ * @returns {string} The URL to fetch
+ */
+function buildThemeFileUrl(themeConfig, fileName) {
+    if (themeConfig.packaged) {
+        return browserAPI.runtime.getURL(`${themeConfig.path}/${fileName}`);
+    }
+
+    // Configs stored before sources existed all came from the official repository
+    return themeConfig.baseUrl
+        ? `${themeConfig.baseUrl}/${fileName}`
+        : buildGitHubUrl(DEFAULT_THEME_SOURCE, `${themeConfig.path}/${fileName}`);
+}
+
+/**
+ * Tells any open extension page (the popup or the options page) about a download's progress.
+ * Nobody may be listening, which is fine.
+ * @param {Object} message The event to broadcast
+ */
+function broadcast(message) {
+    Promise.resolve(browserAPI.runtime.sendMessage(message)).catch(() => {});
+}
+
+/**
+ * Downloads a specific theme, joining an existing download if one is running
+ * @param {string} themeId The theme ID to download
+ * @returns {Promise<boolean>} Success or failure
+ */
+function downloadTheme(themeId) {
+    if (ACTIVE_DOWNLOADS.has(themeId)) {
+        return ACTIVE_DOWNLOADS.get(themeId).promise;
+    }
+
+    const download = { completed: 0, total: 0, promise: null };
+    download.promise = runDownload(themeId, download).then(async success => {
+        ACTIVE_DOWNLOADS.delete(themeId);
+        if (success) {
+            await applyRetentionPolicy();
+        }
+        broadcast({ type: 'download-complete', themeId, success });
+        return success;
+    });
+
+    ACTIVE_DOWNLOADS.set(themeId, download);
+    return download.promise;
+}
+
+/**
+ * Does the actual work of downloading every file of a theme
+ * @param {string} themeId The theme ID to download
+ * @param {Object} download Progress record to keep up to date
+ * @returns {Promise<boolean>} Success or failure
+ */
+async function runDownload(themeId, download) {
+    const themeConfig = (await loadThemesConfig())[themeId];
+    if (!themeConfig) {
+        console.error(`Theme ${themeId} not found in configuration`);
+        return false;
+    }
+    
+    try {
+        download.total = Object.keys(getThemeFiles(themeConfig)).length + (themeConfig.palette ? 1 : 0);
+
+        // Palette themes only need their tokens - content.js combines them with
+        // the base stylesheets. Drop any full CSS left from an older version.
+        if (themeConfig.palette) {
+            await browserAPI.storage.local.remove(Object.keys(PAGE_TYPES).map(fileType => `${themeId}-${fileType}`));
+            download.completed++;
+        }
+
+        // Only store the CSS if every file passed
+        const { results, checks } = await fetchThemeFiles(themeConfig, () => {
+            download.completed++;
+            broadcast({
+                type: 'download-progress',
+                themeId,
+                completed: download.completed,
+                total: download.total
+            });
+        });
+        await recordThemeChecks(themeId, checks);
+
+        if (checks.rejected.length > 0) {
+            console.error(`Rejected theme ${themeId}:`, checks.rejected);
+            return false;
+        }
+
+        const entries = themeConfig.palette ? { [`${themeId}-palette`]: themeConfig.palette } : {};
+        for (const { fileType, css } of results) {
+            entries[`${themeId}-${fileType}`] = css;
+        }
+        // Store the CSS, mark this theme as downloaded and save the timestamp and version we got
+        await browserAPI.storage.local.set({
+            ...entries,
+            [`${themeId}_downloaded`]: new Date().toISOString(),
+            [`${themeId}_installed`]: {
+                version: themeConfig.version,
+                shas: themeConfig.shas || {}
+            }
+        });
+        
+        DOWNLOADED_THEMES.add(themeId);
+        UPDATABLE_THEMES.delete(themeId);
+        return true;
+    } catch (error) {
+        console.error(`Error downloading theme ${themeId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Downloads and checks every file a theme's manifest lists, without storing anything
+ * @param {Object} themeConfig The theme's config
+ * @param {Function} [onFile] Called as each file arrives
+ * @returns {Promise<{results: Array, checks: Object}>} Each file's {fileType, fileName, css, ...}
+ *     and what the CSS checks found across all of them
+ */
+async function fetchThemeFiles(themeConfig, onFile = () => {}) {
+    const downloadPromises = Object.entries(getThemeFiles(themeConfig)).map(async ([fileType, fileName]) => {
+        const url = buildThemeFileUrl(themeConfig, fileName);
+        console.log(`Downloading ${url}`);
+
+        const response = await fetch(url, {
+            method: 'GET',
+            cache: 'no-cache',
+            headers: { 'Accept': 'text/css,*/*' }
+        });
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}: ${response.status}`);
+        }
+
+        const cssContent = await response.text();
+        if (!cssContent || cssContent.trim().length < 10) {
+            throw new Error('Received empty or invalid CSS');
+        }
+
+        onFile();
+        return { fileType, fileName, ...(await verifyThemeCss(themeConfig, fileType, cssContent)) };
+    });
+
+    const results = await Promise.all(downloadPromises);
+    const checks = { blocked: [], flagged: [], rejected: [] };
+    for (const result of results) {
+        addCssChecks(checks, result.fileName, result);
+    }
+    return { results, checks };
+}
+
+/**
+ * Checks a downloaded CSS file against the hash its theme.json publishes, then
+ * sanitizes it (see shared/css-sanitizer.js)
+ * @param {Object} themeConfig The theme's config
+ * @param {string} fileType The page type the file is for
+ * @param {string} css The downloaded CSS
+ * @returns {Promise<Object>} {css, blocked, flagged, rejected} like sanitizeThemeCss()
+ */
+async function verifyThemeCss(themeConfig, fileType, css) {
+    const expectedHash = themeConfig.integrity && themeConfig.integrity[fileType];
+    if (expectedHash && (await hashCss(css)) !== expectedHash) {
+        return { css: null, blocked: [], flagged: [], rejected: [`does not match the hash in ${THEME_MANIFEST_FILE}`] };
+    }
+    return sanitizeThemeCss(css);
+}
+
+/**
+ * Adds what the CSS checks found in one file to a theme's checks
+ * @param {Object} checks The theme's {blocked, flagged, rejected} lists
+ * @param {string} label Which file it was, to prefix each problem with
+ * @param {Object} result The file's {blocked, flagged, rejected}
+ */
+function addCssChecks(checks, label, result) {
+    for (const kind of ['blocked', 'flagged', 'rejected']) {
+        checks[kind].push(...result[kind].map(problem => `${label}: ${problem}`));
+    }
+}
+
+/**
+ * Remembers what the CSS checks found in a theme, so the popup can show it
+ * @param {string} themeId The theme ID
+ * @param {Object} [checks] {blocked, flagged, rejected}; nothing to forget the theme's entry
+ */
+async function recordThemeChecks(themeId, checks) {
+    const { theme_checks } = await browserAPI.storage.local.get('theme_checks');
+    const allChecks = theme_checks || {};
+
+    const hasProblems = checks && (checks.blocked.length + checks.flagged.length + checks.rejected.length > 0);
+    if (hasProblems) {
+        allChecks[themeId] = { ...checks, checkedAt: new Date().toISOString() };
+    } else if (allChecks[themeId]) {
+        delete allChecks[themeId];
+    } else {
+        return;
+    }
+
+    await browserAPI.storage.local.set({ theme_checks: allChecks });
+}
+
+/**
+ * Runs the CSS checks over themes stored before they existed, removing any that fail
+ */
+async function recheckStoredThemes() {
+    const themesConfig = await loadThemesConfig();
+    await refreshDownloadedThemes(themesConfig);
+
+    for (const themeId of DOWNLOADED_THEMES) {
+        const fileTypes = Object.keys(getThemeFiles(themesConfig[themeId]));
+        const keys = fileTypes.map(fileType => `${themeId}-${fileType}`);
+        const stored = await browserAPI.storage.local.get(keys);
+
+        const checks = { blocked: [], flagged: [], rejected: [] };
+        const entries = {};
+        for (const fileType of fileTypes.filter(fileType => stored[`${themeId}-${fileType}`])) {
+            const result = sanitizeThemeCss(stored[`${themeId}-${fileType}`]);
+            addCssChecks(checks, fileType, result);
+            entries[`${themeId}-${fileType}`] = result.css;
+        }
+
+        if (checks.rejected.length > 0) {
+            // Switch away first - removeTheme() won't touch the active theme
+            const { theme } = await browserAPI.storage.local.get('theme');
+            if (theme === themeId) {
+                await browserAPI.storage.local.set({ theme: 'default' });
+            }
+            await removeTheme(themeId);
+        } else if (Object.keys(entries).length > 0) {
+            await browserAPI.storage.local.set(entries);
+        }
+        await recordThemeChecks(themeId, checks);
+    }
+}
+
+/**
+ * Removes a theme from local storage to free up space
+ * @param {string} themeId The theme ID to remove
+ */
+async function removeTheme(themeId) {
+    try {
+        // Skip if it's the currently selected theme
+        const { theme } = await browserAPI.storage.local.get('theme');
+        if (theme === themeId) {
+            console.log(`Can't remove currently active theme: ${themeId}`);
+            return false;
+        }
+        
+        // Remove all files for this theme, including optional ones
+        await browserAPI.storage.local.remove(await getThemeStorageKeys(themeId));
+
+        // Forget its usage too - a pin only makes sense for a theme we keep
+        const { theme_usage, pinned_themes } = await browserAPI.storage.local.get(['theme_usage', 'pinned_themes']);
+        const usage = theme_usage || {};
+        delete usage[themeId];
+        await browserAPI.storage.local.set({
+            theme_usage: usage,
+            pinned_themes: (pinned_themes || []).filter(id => id !== themeId)
+        });
+        await recordThemeChecks(themeId);
+        await forgetCoverageReports(themeId);
+        console.log(`Removed theme ${themeId} from storage`);
+        
+        DOWNLOADED_THEMES.delete(themeId);
+        UPDATABLE_THEMES.delete(themeId);
+        await updateToolbarBadge();
+        return true;
+    } catch (error) {
+        console.error(`Error removing theme ${themeId}:`, error);
+        return false;
+    }
+}
+
+
+/**
+ * Compares every downloaded theme against the latest registry data
+ * @param {Object} themesConfig The theme configuration object
+ * @returns {Promise<Set<string>>} IDs of themes with an update available
+ */
+async function checkForUpdates(themesConfig) {
+    const themeIds = Array.from(DOWNLOADED_THEMES).filter(themeId => themesConfig[themeId]);
+    const keys = themeIds.map(themeId => `${themeId}_installed`);
+    const installed = keys.length > 0 ? await browserAPI.storage.local.get(keys) : {};
+
+    UPDATABLE_THEMES = new Set(themeIds.filter(themeId =>
+        isThemeUpdateAvailable(themesConfig[themeId], installed[`${themeId}_installed`])
+    ));
+
+    await updateToolbarBadge();
+    return UPDATABLE_THEMES;
+}
+
+/**
+ * Refreshes the theme list from the sources that are due and counts the updates
+ * available for downloaded themes, for the periodic check
+ */
+async function runUpdateCheck() {
+    const themesConfig = await fetchThemesList();
+    await refreshDownloadedThemes(themesConfig);
+    const updates = await checkForUpdates(themesConfig);
+    console.log(`Update check found ${updates.size} theme update(s)`);
+}
+
+/**
+ * Shows the number of themes with updates on the toolbar icon
+ */
+async function updateToolbarBadge() {
+    const count = UPDATABLE_THEMES.size;
+    try {
+        await browserAPI.action.setBadgeText({ text: count > 0 ? String(count) : '' });
+        await browserAPI.action.setBadgeBackgroundColor({ color: '#89B4FA' });
+        await browserAPI.action.setTitle({
+            title: count > 0 ? `Better Portal (${count} theme update${count !== 1 ? 's' : ''})` : 'Better Portal'
+        });
+    } catch (error) {
+        console.error('Error updating toolbar badge:', error);
+    }
+}
+
+
+/**
+ * Lists every storage key a downloaded theme uses
+ * @param {string} themeId The theme ID
+ * @returns {Promise<string[]>} Storage keys
+ */
+async function getThemeStorageKeys(themeId) {
+    const themeConfig = (await loadThemesConfig())[themeId];
+    const fileTypes = new Set([...Object.keys(PAGE_TYPES), ...(themeConfig ? Object.keys(getThemeFiles(themeConfig)) : [])]);
+    return [
+        ...Array.from(fileTypes, fileType => `${themeId}-${fileType}`),
+        `${themeId}-palette`,
+        `${themeId}_downloaded`, // The download timestamp
+        `${themeId}_installed` // And the version we had
+    ];
+}
+
+/**
+ * Measures how much of storage.local some keys take up. Firefox has no
+ * getBytesInUse(), so there we count the serialized keys and values like Chrome does.
+ * @param {string[]|null} keys The keys to measure, or null for everything
+ * @returns {Promise<number>} Size in bytes
+ */
+async function measureStorage(keys) {
+    if (typeof browserAPI.storage.local.getBytesInUse === 'function') {
+        return browserAPI.storage.local.getBytesInUse(keys);
+    }
+
+    const values = await browserAPI.storage.local.get(keys);
+    const encoder = new TextEncoder();
+    return Object.entries(values).reduce(
+        (total, [key, value]) => total + encoder.encode(key + JSON.stringify(value)).length, 0
+    );
+}
+
+/**
+ * Records that a theme was just applied to a page. Written at most once an hour
+ * per theme, as pages report every time they load.
+ * @param {string} themeId The theme ID
+ */
+async function recordThemeApplied(themeId) {
+    if (!themeId || themeId === 'default') return;
+
+    const { theme_usage } = await browserAPI.storage.local.get('theme_usage');
+    const usage = theme_usage || {};
+    const now = new Date();
+    if (usage[themeId] && now - new Date(usage[themeId]) < 60 * 60 * 1000) return;
+
+    usage[themeId] = now.toISOString();
+    await browserAPI.storage.local.set({ theme_usage: usage });
+}
+
+/**
+ * Lists the themes the retention policy must never remove
+ * @returns {Promise<Set<string>>} The active theme, pinned themes and those the schedule or page rules use
+ */
+async function getProtectedThemeIds() {
+    const { theme, pinned_themes } = await browserAPI.storage.local.get(['theme', 'pinned_themes']);
+    return new Set([
+        theme || 'default',
+        ...(pinned_themes || []),
+        ...getScheduledThemeIds(await loadScheduleSettings()),
+        ...getRuleThemeIds(await loadThemeRules())
+    ]);
+}
+
+/**
+ * Reads the retention policy
+ * @returns {Promise<Object>} {maxThemes, unusedDays}
+ */
+async function loadRetentionPolicy() {
+    const { retention_policy } = await browserAPI.storage.local.get('retention_policy');
+    return retention_policy || DEFAULT_RETENTION_POLICY;
+}
+
+/**
+ * Removes the downloaded themes the retention policy no longer wants to keep.
+ * Custom themes are never removed automatically.
+ */
+async function applyRetentionPolicy() {
+    try {
+        await refreshDownloadedThemes(await loadThemesConfig());
+
+        const themeIds = Array.from(DOWNLOADED_THEMES);
+        const stored = await browserAPI.storage.local.get(['theme_usage', ...themeIds.map(themeId => `${themeId}_downloaded`)]);
+        const usage = stored.theme_usage || {};
+        const themes = themeIds.map(themeId => ({
+            themeId,
+            lastApplied: usage[themeId] || null,
+            downloadedAt: stored[`${themeId}_downloaded`] || null
+        }));
+
+        const toRemove = selectThemesToRemove(themes, await loadRetentionPolicy(), await getProtectedThemeIds(), new Date());
+        for (const themeId of toRemove) {
+            await removeTheme(themeId);
+        }
+
+        if (toRemove.length > 0) {
+            console.log(`Retention policy removed themes: ${toRemove.join(', ')}`);
+        }
+    } catch (error) {
+        console.error('Error applying retention policy:', error);
+    }
+}
+
+/**
+ * Stores a new retention policy and applies it straight away
+ * @param {Object} policy {maxThemes, unusedDays}
+ * @returns {Promise<Object>} {success} or {success: false, errors}
+ */
+async function saveRetentionPolicy(policy) {
+    const errors = validateRetentionPolicy(policy);
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
+
+    await browserAPI.storage.local.set({ retention_policy: policy });
+    await applyRetentionPolicy();
+    return { success: true };
+}
+
+/**
+ * Pins a theme so the retention policy keeps it, or unpins it
+ * @param {string} themeId The theme ID
+ * @param {boolean} pinned Whether to pin it
+ */
+async function setThemePinned(themeId, pinned) {
+    const { pinned_themes } = await browserAPI.storage.local.get('pinned_themes');
+    const pins = new Set(pinned_themes || []);
+    if (pinned) {
+        pins.add(themeId);
+    } else {
+        pins.delete(themeId);
+    }
+    await browserAPI.storage.local.set({ pinned_themes: Array.from(pins) });
+}
+
+/**
+ * Collects everything the storage panel shows
+ * (custom themes are listed too, but the retention policy never touches them)
+ * @returns {Promise<Object>} {themes: [{themeId, name, bytes, lastApplied, downloadedAt, pinned, protected, custom}], totalBytes, policy}
+ */
+async function getStorageState() {
+    const themesConfig = await loadThemesConfig();
+    await refreshDownloadedThemes(themesConfig);
+
+    const customThemes = await loadCustomThemes();
+    const themeIds = Array.from(DOWNLOADED_THEMES);
+    const stored = await browserAPI.storage.local.get(['theme_usage', 'pinned_themes', ...themeIds.map(themeId => `${themeId}_downloaded`)]);
+    const usage = stored.theme_usage || {};
+    const pins = new Set(stored.pinned_themes || []);
+    const protectedIds = await getProtectedThemeIds();
+
+    const themes = [];
+    for (const themeId of themeIds) {
+        themes.push({
+            themeId,
+            name: themesConfig[themeId].name,
+            bytes: await measureStorage(await getThemeStorageKeys(themeId)),
+            lastApplied: usage[themeId] || null,
+            downloadedAt: stored[`${themeId}_downloaded`] || null,
+            pinned: pins.has(themeId),
+            protected: protectedIds.has(themeId),
+            custom: false
+        });
+    }
+    for (const [themeId, customTheme] of Object.entries(customThemes)) {
+        themes.push({
+            themeId,
+            name: customTheme.name,
+            bytes: await measureStorage(getCustomThemeKeys(themeId, customTheme)),
+            lastApplied: usage[themeId] || null,
+            downloadedAt: customTheme.created,
+            pinned: pins.has(themeId),
+            protected: protectedIds.has(themeId),
+            custom: true
+        });
+    }
+
+    return {
+        themes,
+        totalBytes: await measureStorage(null),
+        policy: await loadRetentionPolicy()
+    };
+}
+
+/**
+ * Reads the themes made in the theme editor or imported from a bundle
+ * @returns {Promise<Object>} Custom themes keyed by theme ID ({name, palette, created, updated, ...})
+ */
+async function loadCustomThemes() {
+    const { custom_themes } = await browserAPI.storage.local.get('custom_themes');
+    return custom_themes || {};
+}
+
+/**
+ * Describes a custom theme the same way themes_config describes downloaded ones
+ * @param {Object} customTheme The stored custom theme
+ * @returns {Object} A theme config for the popup
+ */
+function toCustomThemeConfig(customTheme) {
+    return {
+        name: customTheme.name,
+        author: customTheme.author || 'You',
+        description: customTheme.description || 'Made in the theme editor',
+        version: customTheme.version || '1.0.0',
+        preview: customTheme.preview || customTheme.palette || {},
+        palette: customTheme.palette || null,
+        files: {},
+        optionalFiles: {},
+        custom: true
+    };
+}
+
+/**
+ * Lists the storage keys holding a custom theme's styles
+ * @param {string} themeId The custom theme ID
+ * @param {Object} customTheme The stored custom theme
+ * @returns {string[]} Storage keys
+ */
+function getCustomThemeKeys(themeId, customTheme) {
+    const fileTypes = customTheme.cssFiles || [];
+    return [`${themeId}-palette`, ...fileTypes.map(fileType => `${themeId}-${fileType}`)];
+}
+
+/**
+ * Stores the palette of a theme made in the editor
+ * @param {string|null} themeId Existing custom theme ID to overwrite, or null for a new theme
+ * @param {string} name Display name of the theme
+ * @param {Object} palette Colors keyed by PALETTE_FIELDS key
+ * @returns {Promise<Object>} {success, themeId} or {success: false, errors}
+ */
+async function saveCustomTheme(themeId, name, palette) {
+    const errors = validatePalette(palette);
+    if (!name || !name.trim()) {
+        errors.unshift('Give your theme a name');
+    }
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
+
+    const customThemes = await loadCustomThemes();
+    const now = new Date().toISOString();
+
+    if (!themeId || !customThemes[themeId]) {
+        // Pick a fresh ID, numbering it if the name is already taken
+        const baseId = slugifyThemeName(name);
+        themeId = baseId;
+        for (let n = 2; customThemes[themeId]; n++) {
+            themeId = `${baseId}-${n}`;
+        }
+    }
+
+    customThemes[themeId] = {
+        ...customThemes[themeId],
+        name: name.trim(),
+        palette: { ...palette },
+        created: (customThemes[themeId] && customThemes[themeId].created) || now,
+        updated: now
+    };
+
+    // Same palette key as downloaded palette themes, so content.js doesn't need to tell them apart
+    await browserAPI.storage.local.set({ [`${themeId}-palette`]: { ...palette }, custom_themes: customThemes });
+    console.log(`Saved custom theme ${themeId}`);
+
+    return { success: true, themeId };
+}
+
+/**
+ * Deletes a theme made in the editor
+ * @param {string} themeId The custom theme ID
+ * @returns {Promise<boolean>} Success or failure
+ */
+async function deleteCustomTheme(themeId) {
+    const { theme } = await browserAPI.storage.local.get('theme');
+    if (theme === themeId) {
+        console.log(`Can't delete currently active theme: ${themeId}`);
+        return false;
+    }
+
+    const customThemes = await loadCustomThemes();
+    if (!customThemes[themeId]) return false;
+
+    const keys = getCustomThemeKeys(themeId, customThemes[themeId]);
+    delete customThemes[themeId];
+    await browserAPI.storage.local.remove(keys);
+    await browserAPI.storage.local.set({ custom_themes: customThemes });
+    await recordThemeChecks(themeId);
+
+    console.log(`Deleted custom theme ${themeId}`);
+    return true;
+}
+
+/**
+ * Reads a base stylesheet from the extension package
+ * @param {string} pageType The page type
+ * @returns {Promise<string>} The base CSS
+ */
+async function loadBaseStylesheet(pageType) {
+    const response = await fetch(browserAPI.runtime.getURL(`base/${pageType}.css`));
+    if (!response.ok) {
+        throw new Error(`Base stylesheet for ${pageType} missing: ${response.status}`);
+    }
+    return response.text();
+}
+
+/**
+ * Finds the config of a downloaded or custom theme
+ * @param {string} themeId The theme ID
+ * @returns {Promise<Object|undefined>} The theme config
+ */
+async function findThemeConfig(themeId) {
+    const customThemes = await loadCustomThemes();
+    return customThemes[themeId]
+        ? toCustomThemeConfig(customThemes[themeId])
+        : (await loadThemesConfig())[themeId];
+}
+
+/**
+ * Builds the finished CSS of a stored theme for every page type it covers, composing
+ * palette themes with the base stylesheets. Other page types fall back to one of these
+ * (see resolveStyledPageType()).
+ * @param {string} themeId The theme ID
+ * @param {Object} themeConfig The theme's config
+ * @returns {Promise<{palette: (Object|null), css: Object}>} The palette (if any) and CSS keyed by page type
+ */
+async function buildThemeCss(themeId, themeConfig) {
+    const pageTypes = Array.from(new Set([...Object.keys(PAGE_TYPES), ...Object.keys(getThemeFiles(themeConfig))]));
+    const paletteKey = `${themeId}-palette`;
+    const stored = await browserAPI.storage.local.get([paletteKey, ...pageTypes.map(fileType => `${themeId}-${fileType}`)]);
+    const palette = stored[paletteKey] || null;
+
+    const css = {};
+    for (const pageType of pageTypes) {
+        const storedCss = stored[`${themeId}-${pageType}`];
+        if (storedCss) {
+            css[pageType] = storedCss;
+        } else if (palette && hasBaseStylesheet(pageType)) {
+            css[pageType] = composeThemeCss(palette, await loadBaseStylesheet(pageType));
+        }
+    }
+
+    return { palette, css };
+}
+
+/**
+ * Packs a downloaded or custom theme into a bundle that can be shared as a file
+ * @param {string} themeId The theme ID to export
+ * @returns {Promise<Object>} {success, bundle} or {success: false, errors}
+ */
+async function exportTheme(themeId) {
+    const themeConfig = await findThemeConfig(themeId);
+    if (!themeConfig || !(await isThemeDownloaded(themeId))) {
+        return { success: false, errors: [`Theme ${themeId} is not downloaded`] };
+    }
+
+    // Always include the finished CSS so the bundle works without our base stylesheets
+    const { palette, css } = await buildThemeCss(themeId, themeConfig);
+    return { success: true, bundle: createThemeBundle(themeId, themeConfig, palette, css) };
+}
+
+/**
+ * Keeps ready-to-inject CSS for the active theme and every theme the rules point at,
+ * so content.js can style a page with a single storage read as soon as it starts loading
+ */
+async function refreshThemeCssCache() {
+    const { theme, theme_rules } = await browserAPI.storage.local.get(['theme', 'theme_rules']);
+    const themeIds = new Set([theme || 'default', ...getRuleThemeIds(theme_rules || DEFAULT_THEME_RULES)]);
+
+    const cache = {};
+    for (const themeId of themeIds) {
+        if (themeId === 'default' || !(await isThemeDownloaded(themeId))) continue;
+
+        const themeConfig = await findThemeConfig(themeId);
+        if (themeConfig) {
+            cache[themeId] = (await buildThemeCss(themeId, themeConfig)).css;
+        }
+    }
+
+    await browserAPI.storage.local.set({ theme_css_cache: cache });
+    console.log(`Cached CSS of ${Object.keys(cache).length} theme(s) for early injection`);
+}
+
+// Several storage writes usually land together (e.g. a download), so refresh once per burst
+let cssCacheTimer = null;
+
+/**
+ * Rebuilds the theme CSS cache shortly after the last related storage change
+ */
+function scheduleThemeCssCacheRefresh() {
+    clearTimeout(cssCacheTimer);
+    cssCacheTimer = setTimeout(() => {
+        refreshThemeCssCache().catch(error => {
+            console.error('Error caching theme CSS:', error);
+        });
+    }, 100);
+}
+
+// Rebuild the cache whenever the active theme, the rules or any theme's styles change
+const THEME_STYLE_KEY_PATTERN = new RegExp(`-(palette|${Object.keys(PAGE_TYPES).join('|')})$`);
+browserAPI.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName !== 'local') return;
+
+    const keys = Object.keys(changes);
+    if (keys.some(key => key === 'theme' || key === 'theme_rules' || THEME_STYLE_KEY_PATTERN.test(key))) {
+        scheduleThemeCssCacheRefresh();
+    }
+});
+
+browserAPI.runtime.onInstalled.addListener(function() {
+    // Themes stored by an older version never went through the CSS checks
+    recheckStoredThemes()
+        .catch(error => console.error('Error re-checking stored themes:', error))
+        .then(scheduleThemeCssCacheRefresh);
+});
+
+/**
+ * Imports a theme bundle as a custom theme
+ * @param {Object} bundle The parsed bundle
+ * @param {string} [resolution] What to do if the theme already exists: 'replace', 'copy',
+ *     or nothing to report the conflict back
+ * @returns {Promise<Object>} {success, themeId}, {success: false, conflict, themeId, name} or {success: false, errors}
+ */
+async function importTheme(bundle, resolution) {
+    const errors = validateThemeBundle(bundle);
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
+
+    const customThemes = await loadCustomThemes();
+    // Imported themes always become custom themes, so they can't clobber a downloaded one
+    const bundleId = bundle.id.startsWith(CUSTOM_THEME_PREFIX) ? bundle.id.slice(CUSTOM_THEME_PREFIX.length) : bundle.id;
+    let themeId = slugifyThemeName(bundleId);
+    // Keys of the theme being replaced, removed only once the new one is ready to store
+    let replacedKeys = [];
+
+    if (customThemes[themeId]) {
+        if (resolution === 'copy') {
+            const copyBase = themeId;
+            for (let n = 2; customThemes[themeId]; n++) {
+                themeId = `${copyBase}-${n}`;
+            }
+        } else if (resolution === 'replace') {
+            replacedKeys = getCustomThemeKeys(themeId, customThemes[themeId]);
+        } else {
+            return { success: false, conflict: true, themeId, name: customThemes[themeId].name };
+        }
+    }
+
+    const { manifest } = bundle;
+    const now = new Date().toISOString();
+    const entries = {};
+    // Only page types, so no CSS can land on another of the theme's keys
+    const pageTypes = Object.keys(bundle.css).filter(isPageType);
+
+    // Palette bundles are stored as palettes so they keep following the base stylesheets.
+    // Anything else is full CSS from a stranger, so it goes through the same checks as downloads.
+    const checks = { blocked: [], flagged: [], rejected: [] };
+    if (bundle.palette) {
+        entries[`${themeId}-palette`] = { ...bundle.palette };
+    } else {
+        for (const fileType of pageTypes) {
+            const result = sanitizeThemeCss(bundle.css[fileType]);
+            addCssChecks(checks, fileType, result);
+            entries[`${themeId}-${fileType}`] = result.css;
+        }
+    }
+
+    if (checks.rejected.length > 0) {
+        return { success: false, errors: checks.rejected };
+    }
+
+    customThemes[themeId] = {
+        name: manifest.name.trim(),
+        author: manifest.author || '',
+        description: manifest.description || 'Imported theme',
+        version: manifest.version || '1.0.0',
+        preview: manifest.preview || null,
+        palette: bundle.palette ? { ...bundle.palette } : null,
+        cssFiles: bundle.palette ? [] : pageTypes,
+        imported: true,
+        created: (customThemes[themeId] && customThemes[themeId].created) || now,
+        updated: now
+    };
+
+    const staleKeys = replacedKeys.filter(key => !(key in entries));
+    if (staleKeys.length > 0) {
+        await browserAPI.storage.local.remove(staleKeys);
+    }
+    await browserAPI.storage.local.set({ ...entries, custom_themes: customThemes });
+    await recordThemeChecks(themeId, checks);
+    console.log(`Imported theme ${themeId}`);
+
+    return { success: true, themeId, blocked: checks.blocked, flagged: checks.flagged };
+}
+
+/**
+ * Fetches a theme bundle from a URL and imports it
+ * @param {string} url HTTPS URL of the bundle
+ * @param {string} [resolution] See importTheme()
+ * @returns {Promise<Object>} Same as importTheme()
+ */
+async function importThemeFromUrl(url, resolution) {
+    if (!/^https:\/\//.test(url || '')) {
+        return { success: false, errors: ['Theme URLs must start with https://'] };
+    }
+
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        return { success: false, errors: [`Could not download the bundle: ${response.status}`] };
+    }
+
+    let bundle;
+    try {
+        bundle = await response.json();
+    } catch (error) {
+        return { success: false, errors: ['The URL did not return a theme bundle'] };
+    }
+
+    return importTheme(bundle, resolution);
+}
+
+/**
+ * Makes a downloaded theme (or 'default') the active one
+ * @param {string} themeId The theme ID to activate
+ * @returns {Promise<boolean>} Success or failure
+ */
+async function activateTheme(themeId) {
+    if (themeId !== 'default' && !(await isThemeDownloaded(themeId))) {
+        // Packaged themes install straight from the extension, no network needed
+        const themeConfig = (await loadThemesConfig())[themeId];
+        if (!(themeConfig && themeConfig.packaged && await downloadTheme(themeId))) {
+            console.error(`Can't activate theme ${themeId} before it is downloaded`);
+            return false;
+        }
+    }
+
+    // Any theme picked here replaces one another device synced but we couldn't get
+    await browserAPI.storage.local.remove('sync_unavailable_theme');
+
+    // content.js picks this up through storage.onChanged. Remember the theme we're
+    // leaving so the keyboard shortcut can switch back to it.
+    const { theme } = await browserAPI.storage.local.get('theme');
+    const previousTheme = theme || 'default';
+    await browserAPI.storage.local.set(previousTheme === themeId
+        ? { theme: themeId }
+        : { theme: themeId, previous_theme: previousTheme });
+    return true;
+}
+
+// The tab showing a theme previewed from the popup, if any
+let PREVIEW_TAB_ID = null;
+
+// Bumped whenever the preview changes, so a slow fetch can't show a theme the pointer already left
+let previewGeneration = 0;
+
+// CSS of themes previewed without being downloaded, keyed by theme ID then page type
+const PREVIEW_CSS = new Map();
+
+/**
+ * Gets the finished CSS of a theme for a preview. Themes that aren't downloaded are
+ * fetched and checked like a download, but nothing is stored.
+ * @param {string} themeId The theme ID, or 'default'
+ * @returns {Promise<Object>} CSS keyed by page type
+ */
+async function loadPreviewCss(themeId) {
+    if (themeId === 'default') return {};
+
+    const themeConfig = await findThemeConfig(themeId);
+    if (!themeConfig) {
+        throw new Error(`Theme ${themeId} not found in configuration`);
+    }
+    if (await isThemeDownloaded(themeId)) {
+        return (await buildThemeCss(themeId, themeConfig)).css;
+    }
+
+    if (!PREVIEW_CSS.has(themeId)) {
+        const { results, checks } = await fetchThemeFiles(themeConfig);
+        if (checks.rejected.length > 0) {
+            throw new Error(`Theme ${themeId} failed the CSS checks`);
+        }
+
+        const css = {};
+        for (const result of results) {
+            css[result.fileType] = result.css;
+        }
+        if (themeConfig.palette) {
+            for (const pageType of Object.keys(PAGE_TYPES).filter(pageType => hasBaseStylesheet(pageType) && !css[pageType])) {
+                css[pageType] = composeThemeCss(themeConfig.palette, await loadBaseStylesheet(pageType));
+            }
+        }
+        PREVIEW_CSS.set(themeId, css);
+    }
+    return PREVIEW_CSS.get(themeId);
+}
+
+/**
+ * Shows a theme on the active tab only, without changing the active theme
+ * @param {string} themeId The theme ID to preview, or 'default'
+ * @returns {Promise<Object>} {success} or {success: false, errors}
+ */
+async function previewTheme(themeId) {
+    const generation = ++previewGeneration;
+    const [tab] = await browserAPI.tabs.query({ active: true, lastFocusedWindow: true });
+    if (!tab) {
+        return { success: false, errors: ['No tab to preview the theme on'] };
+    }
+
+    const css = await loadPreviewCss(themeId);
+    if (generation !== previewGeneration) {
+        return { success: false, errors: ['Preview cancelled'] };
+    }
+
+    // Only one tab previews at a time
+    if (PREVIEW_TAB_ID !== null && PREVIEW_TAB_ID !== tab.id) {
+        await endThemePreview();
+    }
+
+    try {
+        await browserAPI.tabs.sendMessage(tab.id, { type: 'theme-preview', themeId, css });
+    } catch (error) {
+        // content.js only runs on portal pages
+        return { success: false, errors: ['Open a portal page to preview themes'] };
+    }
+    PREVIEW_TAB_ID = tab.id;
+    return { success: true };
+}
+
+/**
+ * Puts the previewing tab back on its real theme
+ */
+async function endThemePreview() {
+    previewGeneration++;
+    if (PREVIEW_TAB_ID === null) return;
+
+    const tabId = PREVIEW_TAB_ID;
+    PREVIEW_TAB_ID = null;
+    try {
+        await browserAPI.tabs.sendMessage(tabId, { type: 'theme-preview-end' });
+    } catch (error) {
+        // The tab was closed or navigated away, so there's nothing to revert
+    }
+}
+
+/**
+ * Keeps the preview the user confirmed by picking a theme - the tab switches to the
+ * new active theme itself, so closing the popup must not revert it
+ */
+function confirmThemePreview() {
+    previewGeneration++;
+    PREVIEW_TAB_ID = null;
+}
+
+// The popup holds a port open while it's showing; closing it drops an unconfirmed preview
+browserAPI.runtime.onConnect.addListener(function(port) {
+    if (port.name !== 'popup') return;
+    port.onDisconnect.addListener(() => {
+        endThemePreview().catch(error => {
+            console.error('Error ending theme preview:', error);
+        });
+    });
+});
+
+/**
+ * Reports the downloads that are still running
+ * @returns {Object} Progress keyed by theme ID
+ */
+function getDownloadProgress() {
+    const progress = {};
+    for (const [themeId, { completed, total }] of ACTIVE_DOWNLOADS) {
+        progress[themeId] = { completed, total };
+    }
+    return progress;
+}
+
+/**
+ * Collects everything the popup and the options page need to draw the theme list
+ * @param {boolean} refresh Whether to fetch the theme list again first (sources checked recently are skipped)
+ * @param {boolean} [force] Whether to check every source, however recently it was checked
+ * @returns {Promise<Object>} The themes, their state and any validation errors
+ */
+async function getThemesState(refresh, force = false) {
+    const themesConfig = refresh ? await fetchThemesList(force) : await loadThemesConfig();
+
+    await refreshDownloadedThemes(themesConfig);
+    await checkForUpdates(themesConfig);
+
+    const stored = await browserAPI.storage.local.get(['theme', 'themes_config_errors', 'themes_config_updated', 'theme_checks', 'theme_sources_status', 'sync_unavailable_theme']);
+
+    // Packaged themes are usable straight away - activating one installs it from the package
+    const packaged = Object.keys(themesConfig).filter(themeId => themesConfig[themeId].packaged);
+    const available = new Set([...DOWNLOADED_THEMES, ...packaged]);
+
+    // Custom themes are always "downloaded" - their CSS only ever lives in storage
+    const customThemes = await loadCustomThemes();
+    const themes = {};
+    for (const [themeId, themeConfig] of Object.entries(themesConfig)) {
+        themes[themeId] = themeConfig.screenshot
+            ? { ...themeConfig, screenshotUrl: buildThemeFileUrl(themeConfig, themeConfig.screenshot) }
+            : themeConfig;
+    }
+    for (const [themeId, customTheme] of Object.entries(customThemes)) {
+        themes[themeId] = toCustomThemeConfig(customTheme);
+    }
+
+    return {
+        themes,
+        errors: stored.themes_config_errors || {},
+        checks: stored.theme_checks || {},
+        sources: await loadThemeSources(),
+        sourceStatus: stored.theme_sources_status || {},
+        syncUnavailableTheme: stored.sync_unavailable_theme || null,
+        updatedAt: stored.themes_config_updated || null,
+        activeTheme: stored.theme || 'default',
+        downloaded: [...available, ...Object.keys(customThemes)],
+        packaged,
+        updates: Array.from(UPDATABLE_THEMES),
+        downloads: getDownloadProgress()
+    };
+}
+
+/**
+ * Reports the active theme and any running downloads
+ * @returns {Promise<Object>} The current status
+ */
+async function getStatus() {
+    const { theme } = await browserAPI.storage.local.get('theme');
+    return {
+        activeTheme: theme || 'default',
+        downloads: getDownloadProgress()
+    };
+}
+
+/**
+ * Reads the automatic switching settings
+ * @returns {Promise<Object>} {mode, system: {light, dark}, schedule: [{start, theme}]}
+ */
+async function loadScheduleSettings() {
+    const { theme_schedule } = await browserAPI.storage.local.get('theme_schedule');
+    return theme_schedule || DEFAULT_SCHEDULE_SETTINGS;
+}
+
+/**
+ * Lists the themes the automatic switching settings can switch to
+ * @param {Object} settings The schedule settings
+ * @returns {string[]} Theme IDs
+ */
+function getScheduledThemeIds(settings) {
+    if (settings.mode === 'system') {
+        return [settings.system.light, settings.system.dark];
+    }
+    if (settings.mode === 'schedule') {
+        return settings.schedule.map(entry => entry.theme);
+    }
+    return [];
+}
+
+/**
+ * Stores new automatic switching settings and applies them straight away
+ * @param {Object} settings The schedule settings
+ * @returns {Promise<Object>} {success} or {success: false, errors}
+ */
+async function saveScheduleSettings(settings) {
+    const errors = validateScheduleSettings(settings);
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
+
+    await browserAPI.storage.local.set({ theme_schedule: settings });
+    await applyScheduledTheme();
+    return { success: true };
+}
+
+/**
+ * Sets an alarm for the next time the schedule switches theme
+ * @param {Object} settings The schedule settings
+ */
+async function scheduleNextSwitch(settings) {
+    await browserAPI.alarms.clear(SCHEDULE_ALARM);
+
+    const next = getNextScheduleBoundary(settings, new Date());
+    if (next) {
+        browserAPI.alarms.create(SCHEDULE_ALARM, { when: next.getTime() });
+        console.log(`Next scheduled theme switch at ${next.toLocaleTimeString()}`);
+    }
+}
+
+/**
+ * Switches to whichever theme the automatic switching settings call for.
+ * Picking a theme by hand still works - it lasts until the next switch.
+ */
+async function applyScheduledTheme() {
+    const settings = await loadScheduleSettings();
+    await scheduleNextSwitch(settings);
+
+    const { theme, system_prefers_dark } = await browserAPI.storage.local.get(['theme', 'system_prefers_dark']);
+    const themeId = resolveScheduledTheme(settings, new Date(), Boolean(system_prefers_dark));
+    if (!themeId || themeId === (theme || 'default')) return;
+
+    // The theme may have been cleaned up (or never downloaded) since it was scheduled
+    if (themeId !== 'default' && !(await isThemeDownloaded(themeId)) && !(await downloadTheme(themeId))) {
+        console.warn(`Scheduled theme ${themeId} is not available`);
+        return;
+    }
+
+    console.log(`Switching to scheduled theme ${themeId}`);
+    await activateTheme(themeId);
+}
+
+/**
+ * Records the OS color scheme reported by a page, switching theme if it changed
+ * @param {boolean} prefersDark Whether the OS asks for a dark color scheme
+ */
+async function updateColorScheme(prefersDark) {
+    const { system_prefers_dark } = await browserAPI.storage.local.get('system_prefers_dark');
+    if (system_prefers_dark === prefersDark) return;
+
+    await browserAPI.storage.local.set({ system_prefers_dark: prefersDark });
+
+    const settings = await loadScheduleSettings();
+    if (settings.mode === 'system') {
+        await applyScheduledTheme();
+    }
+}
+
+browserAPI.alarms.onAlarm.addListener(function(alarm) {
+    if (alarm.name === SCHEDULE_ALARM) {
+        applyScheduledTheme();
+    } else if (alarm.name === UPDATE_CHECK_ALARM) {
+        runUpdateCheck().catch(error => {
+            console.error('Error checking for theme updates:', error);
+        });
+    }
+});
+
+/**
+ * Starts the periodic update check, keeping the alarm's timing if it's already set
+ */
+async function scheduleUpdateCheck() {
+    if (!(await browserAPI.alarms.get(UPDATE_CHECK_ALARM))) {
+        browserAPI.alarms.create(UPDATE_CHECK_ALARM, { delayInMinutes: 1, periodInMinutes: UPDATE_CHECK_PERIOD_MINUTES });
+    }
+}
+
+browserAPI.runtime.onStartup.addListener(function() {
+    applyScheduledTheme();
+    applyRetentionPolicy();
+    scheduleUpdateCheck();
+});
+
+browserAPI.runtime.onInstalled.addListener(scheduleUpdateCheck);
+
+/**
+ * Lists the themes the "next theme" shortcut cycles through, in popup order
+ * @returns {Promise<string[]>} Downloaded, packaged and custom theme IDs
+ */
+async function getCycleThemeIds() {
+    const themesConfig = await loadThemesConfig();
+    const downloaded = await refreshDownloadedThemes(themesConfig);
+    const themeIds = Object.keys(themesConfig).filter(themeId => downloaded.has(themeId) || themesConfig[themeId].packaged);
+    return [...themeIds, ...Object.keys(await loadCustomThemes())];
+}
+
+// Keyboard shortcuts declared under "commands" in manifest.json
+const COMMAND_HANDLERS = {
+    'next-theme': async () => {
+        const themeIds = await getCycleThemeIds();
+        if (themeIds.length === 0) return;
+
+        // From the default theme (or one that's gone) this starts at the first theme
+        const { theme } = await browserAPI.storage.local.get('theme');
+        await activateTheme(themeIds[(themeIds.indexOf(theme) + 1) % themeIds.length]);
+    },
+    'default-theme': () => activateTheme('default'),
+    'last-theme': async () => {
+        const { previous_theme } = await browserAPI.storage.local.get('previous_theme');
+        if (previous_theme) {
+            await activateTheme(previous_theme);
+        }
+    }
+};
+
+// Shortcuts run one after another, so pressing "next" twice quickly moves two themes on
+let commandQueue = Promise.resolve();
+
+browserAPI.commands.onCommand.addListener(function(command) {
+    const handler = COMMAND_HANDLERS[command];
+    if (!handler) return;
+
+    commandQueue = commandQueue.then(() => {
+        console.log(`Running shortcut ${command}`);
+        return handler();
+    }).catch(error => {
+        console.error(`Error running shortcut ${command}:`, error);
+    });
+});
+
+// Firefox runs the background script in a page, which can watch the color scheme itself.
+// Chrome's service worker can't, so there content.js and the popup report it instead.
+if (typeof matchMedia === 'function') {
+    const colorSchemeQuery = matchMedia('(prefers-color-scheme: dark)');
+    updateColorScheme(colorSchemeQuery.matches);
+    colorSchemeQuery.addEventListener('change', event => updateColorScheme(event.matches));
+}
+
+/**
+ * Reads the per-page-type and per-course theme rules
+ * @returns {Promise<Object>} {pageTypes: {pageType: themeId|null}, courses: [{match, theme}]}
+ */
+async function loadThemeRules() {
+    const { theme_rules } = await browserAPI.storage.local.get('theme_rules');
+    return theme_rules || DEFAULT_THEME_RULES;
+}
+
+/**
+ * Stores new theme rules; content.js re-applies through storage.onChanged
+ * @param {Object} rules The theme rules
+ * @returns {Promise<Object>} {success} or {success: false, errors}
+ */
+async function saveThemeRules(rules) {
+    const errors = validateThemeRules(rules);
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
+
+    // Make sure every theme the rules point at is available before pages ask for it
+    for (const themeId of getRuleThemeIds(rules)) {
+        if (themeId !== 'default' && !(await isThemeDownloaded(themeId))) {
+            downloadTheme(themeId);
+        }
+    }
+
+    await browserAPI.storage.local.set({ theme_rules: rules });
+    return { success: true };
+}
+
+/**
+ * Reads the on-page switcher settings
+ * @returns {Promise<Object>} {enabled, pages: {pageType: {hidden, left, top}}}
+ */
+async function loadSwitcherSettings() {
+    const { switcher_settings } = await browserAPI.storage.local.get('switcher_settings');
+    return switcher_settings || DEFAULT_SWITCHER_SETTINGS;
+}
+
+/**
+ * Stores new switcher settings; content.js shows, hides or moves the switcher through storage.onChanged
+ * @param {Object} settings The switcher settings
+ * @returns {Promise<Object>} {success} or {success: false, errors}
+ */
+async function saveSwitcherSettings(settings) {
+    const errors = validateSwitcherSettings(settings);
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
+
+    await browserAPI.storage.local.set({ switcher_settings: settings });
+    return { success: true };
+}
+
+/**
+ * Remembers where the switcher was dragged to, or that it was closed, on one page type
+ * @param {string} pageType The page type
+ * @param {Object} page {hidden, left, top}
+ * @returns {Promise<Object>} {success} or {success: false, errors}
+ */
+async function saveSwitcherPage(pageType, page) {
+    const settings = await loadSwitcherSettings();
+    return saveSwitcherSettings({ ...settings, pages: { ...settings.pages, [pageType]: page } });
+}
+
+/**
+ * Stores a selector coverage report from content.js, replacing the last one for that
+ * theme and page type
+ * @param {Object} report The report (see checkSelectorCoverage in content.js)
+ */
+async function recordCoverageReport(report) {
+    const { theme_coverage } = await browserAPI.storage.local.get('theme_coverage');
+    const coverage = theme_coverage || {};
+    coverage[report.themeId] = { ...coverage[report.themeId], [report.pageType]: report };
+    await browserAPI.storage.local.set({ theme_coverage: coverage });
+}
+
+/**
+ * Forgets the selector coverage reports of one theme, or of every theme
+ * @param {string} [themeId] The theme ID, or nothing for all of them
+ */
+async function forgetCoverageReports(themeId) {
+    if (!themeId) {
+        await browserAPI.storage.local.remove('theme_coverage');
+        return;
+    }
+
+    const { theme_coverage } = await browserAPI.storage.local.get('theme_coverage');
+    if (!theme_coverage || !theme_coverage[themeId]) return;
+    delete theme_coverage[themeId];
+    await browserAPI.storage.local.set({ theme_coverage });
+}
+
+/**
+ * Reads whether diagnostics are on, and the coverage reports so far
+ * @returns {Promise<Object>} {enabled, reports: {themeId: {pageType: report}}}
+ */
+async function getDiagnosticsState() {
+    const { diagnostics_enabled, theme_coverage } = await browserAPI.storage.local.get(['diagnostics_enabled', 'theme_coverage']);
+    return { enabled: Boolean(diagnostics_enabled), reports: theme_coverage || {} };
+}
+
+/**
+ * Reads the accessibility modifiers
+ * @returns {Promise<Object>} The accessibility settings
+ */
+async function loadAccessibilitySettings() {
+    const { accessibility_settings } = await browserAPI.storage.local.get('accessibility_settings');
+    return { ...DEFAULT_ACCESSIBILITY_SETTINGS, ...accessibility_settings };
+}
+
+/**
+ * Stores new accessibility modifiers; content.js applies them through storage.onChanged
+ * @param {Object} settings The accessibility settings
+ * @returns {Promise<Object>} {success} or {success: false, errors}
+ */
+async function saveAccessibilitySettings(settings) {
+    const errors = validateAccessibilitySettings(settings);
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
+
+    await browserAPI.storage.local.set({ accessibility_settings: settings });
+    return { success: true };
+}
+
+/**
+ * Reads the personal CSS overrides
+ * @returns {Promise<Object>} CSS keyed by theme ID (or USER_CSS_ALL_THEMES) then page type
+ */
+async function loadUserCss() {
+    const { user_css } = await browserAPI.storage.local.get('user_css');
+    return user_css || {};
+}
+
+/**
+ * Sets or removes one personal CSS override. They're kept apart from the themes, so
+ * theme updates and removals leave them alone; content.js re-applies through storage.onChanged.
+ * @param {string} themeId The theme it applies to, or USER_CSS_ALL_THEMES
+ * @param {string} pageType The page type it applies to
+ * @param {string} css The CSS, or an empty string to remove the override
+ * @returns {Promise<Object>} {success} or {success: false, errors}
+ */
+async function saveUserCss(themeId, pageType, css) {
+    const errors = validateUserCss(themeId, pageType, css);
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
+
+    await browserAPI.storage.local.set({ user_css: setUserCss(await loadUserCss(), themeId, pageType, css) });
+    return { success: true };
+}
+
+/**
+ * Adds a theme source and fetches its themes
+ * @param {Object} source The source as entered in the popup (without an ID)
+ * @returns {Promise<Object>} {success, source} or {success: false, errors}
+ */
+async function addThemeSource(source) {
+    const errors = validateThemeSource(source);
+    if (errors.length > 0) {
+        return { success: false, errors };
+    }
+
+    const sources = await loadThemeSources();
+    const newSource = source.type === 'index'
+        ? { type: 'index', name: source.name.trim(), url: source.url.trim() }
+        : {
+            type: 'github',
+            name: source.name.trim(),
+            owner: source.owner,
+            repo: source.repo,
+            branch: source.branch.trim(),
+            path: source.path.replace(/^\/+|\/+$/g, '')
+        };
+    newSource.id = createThemeSourceId(newSource.name, sources.map(existing => existing.id));
+
+    await browserAPI.storage.local.set({ theme_sources: [...sources, newSource] });
+    await fetchThemesList();
+    console.log(`Added theme source ${newSource.id}`);
+
+    return { success: true, source: newSource };
+}
+
+/**
+ * Removes a theme source along with its downloaded themes
+ * @param {string} sourceId The source ID
+ * @returns {Promise<Object>} {success} or {success: false, errors}
+ */
+async function removeThemeSource(sourceId) {
+    if (sourceId === DEFAULT_THEME_SOURCE.id) {
+        return { success: false, errors: ['The Better Portal source can\'t be removed'] };
+    }
+
+    const themesConfig = await loadThemesConfig();
+    const themeIds = Object.keys(themesConfig).filter(themeId => themesConfig[themeId].source === sourceId);
+    const { theme } = await browserAPI.storage.local.get('theme');
+    if (themeIds.includes(theme)) {
+        return { success: false, errors: ['Switch to another theme before removing its source'] };
+    }
+
+    for (const themeId of themeIds) {
+        if (await isThemeDownloaded(themeId)) {
+            await removeTheme(themeId);
+        }
+    }
+
+    // Forget the source and everything we fetched from it
+    const prefix = getSourceThemeId(sourceId, '');
+    const stored = await browserAPI.storage.local.get(['themes_config', 'themes_config_errors', 'theme_sources_status']);
+    const withoutSource = entries => Object.fromEntries(
+        Object.entries(entries || {}).filter(([themeId]) => !themeId.startsWith(prefix))
+    );
+    const sourceStatus = stored.theme_sources_status || {};
+    delete sourceStatus[sourceId];
+
+    await browserAPI.storage.local.set({
+        theme_sources: (await loadThemeSources()).filter(source => source.id !== sourceId),
+        themes_config: withoutSource(stored.themes_config),
+        themes_config_errors: withoutSource(stored.themes_config_errors),
+        theme_sources_status: sourceStatus
+    });
+    THEMES_CONFIG = {};
+    console.log(`Removed theme source ${sourceId}`);
+
+    return { success: true };
+}
+
+/**
+ * Lists the theme sources with how their last fetch went
+ * @returns {Promise<Object>} {sources, status: {sourceId: {error, updated, retryAt, ...}}}
+ */
+async function getThemeSourcesState() {
+    const { theme_sources_status } = await browserAPI.storage.local.get('theme_sources_status');
+    return {
+        sources: await loadThemeSources(),
+        status: theme_sources_status || {}
+    };
+}
+
+// Lightweight preferences mirrored to storage.sync so they follow the user to their
+// other devices, each with the check a value has to pass when it arrives from one.
+// Theme CSS (and anything else bulky or device-specific) stays in storage.local only.
+const SYNCED_PREFERENCES = {
+    theme: value => typeof value === 'string' && value.length > 0,
+    theme_rules: value => validateThemeRules(value).length === 0,
+    theme_schedule: value => validateScheduleSettings(value).length === 0,
+    retention_policy: value => validateRetentionPolicy(value).length === 0,
+    pinned_themes: value => Array.isArray(value) && value.every(themeId => typeof themeId === 'string'),
+    theme_sources: value => Array.isArray(value) && value.every(source => typeof source.id === 'string' && validateThemeSource(source).length === 0),
+    switcher_settings: value => validateSwitcherSettings(value).length === 0,
+    accessibility_settings: value => validateAccessibilitySettings(value).length === 0
+};
+
+// Wait for a burst of changes to settle before writing, to stay well inside the sync write quotas
+const SYNC_PUSH_DELAY_MS = 2000;
+
+// JSON of each preference as storage.sync last had it (kept in storage.local as
+// synced_values), so what we pull in isn't pushed straight back. It can't live in
+// memory: the service worker may be stopped between a pull and the change it causes.
+const pendingSyncKeys = new Set();
+let syncPushTimer = null;
+
+/**
+ * Writes the preferences that changed locally to storage.sync, shortly after the last change
+ * @param {string[]} keys The preference keys that changed
+ */
+function scheduleSyncPush(keys) {
+    keys.forEach(key => pendingSyncKeys.add(key));
+    clearTimeout(syncPushTimer);
+    syncPushTimer = setTimeout(() => {
+        pushPreferencesToSync().catch(error => {
+            console.error('Error syncing preferences:', error);
+        });
+    }, SYNC_PUSH_DELAY_MS);
+}
+
+/**
+ * Writes the pending preferences to storage.sync, skipping any it already has
+ */
+async function pushPreferencesToSync() {
+    const keys = Array.from(pendingSyncKeys);
+    pendingSyncKeys.clear();
+
+    const local = await browserAPI.storage.local.get([...keys, 'synced_values']);
+    const syncedValues = local.synced_values || {};
+    const entries = {};
+    for (const key of keys.filter(key => key in local)) {
+        if (JSON.stringify(local[key]) !== syncedValues[key]) {
+            entries[key] = local[key];
+        }
+    }
+    if (Object.keys(entries).length === 0) return;
+
+    // Fails when a value is over the per-item quota (8 KB), e.g. very many course rules
+    await browserAPI.storage.sync.set(entries);
+    for (const [key, value] of Object.entries(entries)) {
+        syncedValues[key] = JSON.stringify(value);
+    }
+    await browserAPI.storage.local.set({ synced_values: syncedValues });
+    console.log(`Synced preferences: ${Object.keys(entries).join(', ')}`);
+}
+
+/**
+ * Fetches the themes synced preferences point at but this device doesn't have yet
+ * @param {string[]} themeIds Theme IDs the preferences use
+ */
+async function downloadMissingThemes(themeIds) {
+    const themesConfig = await loadThemesConfig();
+    const missing = [];
+    for (const themeId of new Set(themeIds)) {
+        if (themeId !== 'default' && themesConfig[themeId] && !(await isThemeDownloaded(themeId))) {
+            missing.push(themeId);
+        }
+    }
+    await Promise.all(missing.map(themeId => downloadTheme(themeId)));
+}
+
+/**
+ * Switches to the theme picked on another device, downloading it first if needed. A theme
+ * this device can't get (a custom theme, or one from a source that fails here) leaves the
+ * current theme in place, and the popup says why.
+ * @param {string} themeId The synced theme ID
+ */
+async function applySyncedTheme(themeId) {
+    let themesConfig = await loadThemesConfig();
+    if (themeId !== 'default' && !themesConfig[themeId] && !(await findThemeConfig(themeId))) {
+        // It may come from a source we've only just heard of
+        themesConfig = await fetchThemesList();
+    }
+
+    const available = themeId === 'default'
+        || await isThemeDownloaded(themeId)
+        || (Boolean(themesConfig[themeId]) && await downloadTheme(themeId));
+    if (available && await activateTheme(themeId)) {
+        console.log(`Switched to synced theme ${themeId}`);
+        return;
+    }
+
+    console.warn(`Synced theme ${themeId} isn't available on this device`);
+    await browserAPI.storage.local.set({ sync_unavailable_theme: themeId });
+}
+
+/**
+ * Applies preferences that arrived from storage.sync, skipping invalid ones and those
+ * this device already has
+ * @param {Object} values Preference values keyed by storage key
+ */
+async function pullSyncedPreferences(values) {
+    const local = await browserAPI.storage.local.get([...Object.keys(values), 'synced_values']);
+    const syncedValues = local.synced_values || {};
+    const entries = {};
+    let syncedTheme = null;
+
+    for (const [key, value] of Object.entries(values)) {
+        const isValid = SYNCED_PREFERENCES[key];
+        if (!isValid || value === undefined) continue;
+
+        syncedValues[key] = JSON.stringify(value);
+        if (syncedValues[key] === JSON.stringify(local[key])) continue;
+        if (!isValid(value)) {
+            console.warn(`Ignoring invalid synced ${key}`);
+            continue;
+        }
+
+        if (key === 'theme') {
+            syncedTheme = value;
+        } else {
+            entries[key] = value;
+        }
+    }
+    // Recorded with the values themselves, so the change they cause here is known to come from sync
+    await browserAPI.storage.local.set({ ...entries, synced_values: syncedValues });
+    if (Object.keys(entries).length === 0 && !syncedTheme) return;
+
+    console.log(`Pulled synced preferences: ${[...Object.keys(entries), ...(syncedTheme ? ['theme'] : [])].join(', ')}`);
+
+    if (entries.theme_sources) {
+        await fetchThemesList();
+    }
+    if (entries.theme_schedule) {
+        await scheduleNextSwitch(entries.theme_schedule);
+    }
+
+    // Fetch what the rules, schedule and pins use now, rather than when a page first asks
+    const { theme_rules, theme_schedule, pinned_themes } = await browserAPI.storage.local.get(['theme_rules', 'theme_schedule', 'pinned_themes']);
+    await downloadMissingThemes([
+        ...getRuleThemeIds(theme_rules || DEFAULT_THEME_RULES),
+        ...getScheduledThemeIds(theme_schedule || DEFAULT_SCHEDULE_SETTINGS),
+        ...(pinned_themes || [])
+    ]);
+
+    if (syncedTheme) {
+        await applySyncedTheme(syncedTheme);
+    }
+}
+
+/**
+ * Brings this device in line with storage.sync when the browser starts: pulls what's
+ * there, or pushes our preferences if nothing has been synced yet
+ */
+async function initPreferenceSync() {
+    const keys = Object.keys(SYNCED_PREFERENCES);
+    const synced = await browserAPI.storage.sync.get(keys);
+    if (Object.keys(synced).length > 0) {
+        await pullSyncedPreferences(synced);
+    } else {
+        scheduleSyncPush(keys);
+    }
+}
+
+browserAPI.storage.onChanged.addListener(function(changes, areaName) {
+    const keys = Object.keys(changes).filter(key => SYNCED_PREFERENCES[key]);
+    if (keys.length === 0) return;
+
+    if (areaName === 'local') {
+        scheduleSyncPush(keys);
+    } else if (areaName === 'sync') {
+        const values = {};
+        keys.forEach(key => { values[key] = changes[key].newValue; });
+        pullSyncedPreferences(values).catch(error => {
+            console.error('Error applying synced preferences:', error);
+        });
+    }
+});
+
+browserAPI.runtime.onStartup.addListener(function() {
+    initPreferenceSync().catch(error => {
+        console.error('Error syncing preferences:', error);
+    });
+});
+
+browserAPI.runtime.onInstalled.addListener(function() {
+    initPreferenceSync().catch(error => {
+        console.error('Error syncing preferences:', error);
+    });
+});
+
+/**
+ * Reports an error when manifest.json and the page type rules in shared/page-types.js
+ * disagree about where the portal is, e.g. after adding a rule for a new host. The tests
+ * catch this before a release; this is for a build loaded with local changes.
+ */
+function checkPortalMatches() {
+    const manifest = browserAPI.runtime.getManifest();
+
+    for (const contentScript of manifest.content_scripts) {
+        const { missing, unused } = diffPortalMatches(contentScript.matches);
+        if (missing.length > 0) {
+            console.error(`Content script ${contentScript.js.join(', ')} doesn't run on pages the page type rules cover:`, missing);
+        }
+        if (unused.length > 0) {
+            console.error(`Content script ${contentScript.js.join(', ')} runs on pages no page type rule covers:`, unused);
+        }
+    }
+
+    // host_permissions also lists the theme registry, so only missing patterns matter here
+    const { missing } = diffPortalMatches(manifest.host_permissions);
+    if (missing.length > 0) {
+        console.error('host_permissions is missing pages the page type rules cover:', missing);
+    }
+}
+
+browserAPI.runtime.onInstalled.addListener(checkPortalMatches);
+
+// The message API used by popup.js, options.js and content.js
+const MESSAGE_HANDLERS = {
+    list: message => getThemesState(Boolean(message.refresh), Boolean(message.force)),
+    download: async message => {
+        const success = await downloadTheme(message.themeId);
+        // Activating here rather than in the popup means it still happens if the popup closed
+        if (success && message.activate && await activateTheme(message.themeId)) {
+            confirmThemePreview();
+        }
+        return { success };
+    },
+    remove: message => removeTheme(message.themeId).then(success => ({ success })),
+    activate: async message => {
+        const success = await activateTheme(message.themeId);
+        if (success) {
+            confirmThemePreview();
+        }
+        return { success };
+    },
+    preview: message => previewTheme(message.themeId),
+    'preview-end': () => endThemePreview().then(() => ({ success: true })),
+    status: () => getStatus(),
+    'custom-list': () => loadCustomThemes(),
+    'custom-save': message => saveCustomTheme(message.themeId, message.name, message.palette),
+    'custom-delete': message => deleteCustomTheme(message.themeId).then(success => ({ success })),
+    export: message => exportTheme(message.themeId),
+    'schedule-get': () => loadScheduleSettings(),
+    'schedule-save': message => saveScheduleSettings(message.settings),
+    'rules-get': () => loadThemeRules(),
+    'rules-save': message => saveThemeRules(message.rules),
+    'diagnostics-get': () => getDiagnosticsState(),
+    'diagnostics-save': message => browserAPI.storage.local.set({ diagnostics_enabled: Boolean(message.enabled) }).then(() => ({ success: true })),
+    'coverage-report': message => recordCoverageReport(message.report).then(() => ({ success: true })),
+    'coverage-clear': () => forgetCoverageReports().then(() => ({ success: true })),
+    'accessibility-get': () => loadAccessibilitySettings(),
+    'accessibility-save': message => saveAccessibilitySettings(message.settings),
+    'user-css-get': () => loadUserCss(),
+    'user-css-save': message => saveUserCss(message.themeId, message.pageType, message.css),
+    'switcher-get': () => loadSwitcherSettings(),
+    'switcher-save': message => saveSwitcherSettings(message.settings),
+    'switcher-page': message => saveSwitcherPage(message.pageType, message.page),
+    'storage-get': () => getStorageState(),
+    'sources-get': () => getThemeSourcesState(),
+    'source-add': message => addThemeSource(message.source),
+    'source-remove': message => removeThemeSource(message.sourceId),
+    'storage-pin': message => setThemePinned(message.themeId, Boolean(message.pinned)).then(() => ({ success: true })),
+    'retention-save': message => saveRetentionPolicy(message.policy),
+    'theme-applied': message => recordThemeApplied(message.themeId).then(() => ({ success: true })),
+    'color-scheme': message => updateColorScheme(Boolean(message.dark)).then(() => ({ success: true })),
+    import: message => message.url
+        ? importThemeFromUrl(message.url, message.resolution)
+        : importTheme(message.bundle, message.resolution)
+};
+
+browserAPI.runtime.onMessage.addListener(function(message, sender, sendResponse) {
+    const handler = MESSAGE_HANDLERS[message && message.type];
+    if (!handler) return false;
+
+    handler(message, sender)
+        .then(sendResponse)
+        .catch(error => {
+            console.error(`Error handling ${message.type} message:`, error);
+            sendResponse({ error: error.message });
+        });
+
+    // Keep the channel open for the async response
+    return true;
+});
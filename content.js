@@ -1,35 +1,126 @@
 // Firefox/Chrome compatibility wrapper
 const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
 
+// Event dispatched by route-hook.js whenever the portal's router changes the URL
+const LOCATION_CHANGE_EVENT = 'better-portal:locationchange';
+
+// The active theme picked in the popup, the theme actually applied to this page after
+// page-type and course rules, and whether its style made it into the page
+let currentTheme = 'default';
+let appliedTheme = 'default';
+let themeInjected = false;
+
+// Per-page-type and per-course overrides (see shared/theme-rules.js)
+let themeRules = DEFAULT_THEME_RULES;
+
+// Personal CSS layered over the theme (see shared/user-css.js)
+let userCss = {};
+
+// Accessibility modifiers applied on top of every theme (see shared/accessibility.js)
+let accessibilitySettings = DEFAULT_ACCESSIBILITY_SETTINGS;
+
+// Whether to check which of the theme's selectors match nothing (see shared/selector-coverage.js)
+let diagnosticsEnabled = false;
+
+// How long to let the portal render after a theme is applied before checking its selectors
+const COVERAGE_CHECK_DELAY_MS = 3000;
+let coverageTimer = null;
+
+// Base stylesheets for palette themes, keyed by page type, fetched once per page
+const BASE_STYLESHEETS = {};
+
+// Finished CSS of the active and rule themes kept by background.js, keyed by theme ID
+// then page type, so the first paint can be themed without waiting on anything else
+let themeCssCache = {};
+
+// When the theme reached the page, compared with the page's own milestones and, when
+// asked for, with a replay of the old document_idle path (all in ms since navigation start)
+const themeTiming = {
+    scriptStart: performance.now(),
+    injected: null,
+    injectedFrom: null,
+    firstContentfulPaint: null,
+    domContentLoaded: null,
+    legacyInjected: null
+};
+
+// Set by window.__themeDebug.measureOldPath() for the next load of the tab only
+const MEASURE_OLD_PATH_KEY = 'better-portal-measure-old-path';
+const measuringOldPath = consumeMeasureOldPathFlag();
+
+// Themes already reported to the background script as used on this page
+const reportedThemes = new Set();
+
+// Theme previewed from the popup ({themeId, css} with CSS keyed by page type), shown
+// on this tab instead of the real one until the preview ends
+let previewedTheme = null;
+
+// Bumped on every applyTheme() call so a slow storage read can't inject a stale theme
+let applyGeneration = 0;
+
+// Follows the portal's client-side navigation so we know when to swap styles
+const routeTracker = createRouteTracker(getPageTypeForUrl, window.location.href);
+
 /**
  * Determines what type of page we're currently on
  * This helps us load the right theme file
  */
 function getPageType() {
-    const url = window.location.href;
-    
-    // Check various URL patterns to identify page type
-    if (url.includes('student_dashboard')) {
-        return 'home';
-    } else if (url.includes('courses')) {
-        return 'assignments';
-    } else if (url.includes('student_documents') || 
-              url.includes('exam_cities_and_hall_ticket') || 
-              url.includes('student_certificates') || 
-              url.includes('student_courses')) {
-        return 'extras';
+    return getPageTypeForUrl(window.location.href);
+}
+
+/**
+ * Loads the shared base stylesheet palette themes are built on
+ * @param {string} pageType The page type to load it for
+ * @returns {Promise<string>} The base CSS
+ */
+async function loadBaseStylesheet(pageType) {
+    if (!BASE_STYLESHEETS[pageType]) {
+        const response = await fetch(browserAPI.runtime.getURL(`base/${pageType}.css`));
+        if (!response.ok) {
+            throw new Error(`Base stylesheet for ${pageType} missing: ${response.status}`);
+        }
+        BASE_STYLESHEETS[pageType] = await response.text();
+    }
+    return BASE_STYLESHEETS[pageType];
+}
+
+/**
+ * Reads the manifest of a theme shipped inside the extension
+ * @param {string} theme The theme ID
+ * @returns {Promise<Object|null>} The theme config, or null if the theme isn't packaged
+ */
+async function loadPackagedManifest(theme) {
+    const path = `themes/${theme}`;
+    try {
+        const response = await fetch(browserAPI.runtime.getURL(`${path}/${THEME_MANIFEST_FILE}`));
+        if (!response.ok) return null;
+        return validateThemeManifest(await response.json(), path).config;
+    } catch (error) {
+        return null;
     }
-    
-    // If we don't recognize the page, return null
-    return null;
+}
+
+/**
+ * Works out which theme this page should get, after page-type and course rules
+ * @param {string} theme The active theme
+ * @returns {string} The theme ID for this page
+ */
+function getPageTheme(theme) {
+    return resolveThemeForPage(themeRules, theme, window.location.href, getPageType());
 }
 
 /**
  * Applies a theme based on user selection
- * @param {string} theme The theme name to apply ('dark-theme', 'purple-nights', or 'default')
+ * @param {string} activeTheme The active theme ('dark', 'purple-night', or 'default'); rules may override it
  */
-async function applyTheme(theme) {
+async function applyTheme(activeTheme) {
+    currentTheme = activeTheme;
+    const theme = getPageTheme(activeTheme);
     console.log(`Attempting to apply theme: ${theme}`);
+    appliedTheme = theme;
+    themeInjected = false;
+    const generation = ++applyGeneration;
     
     // First, clean up any existing theme styles
     const existingStyles = document.querySelectorAll('style[data-theme-style]');
@@ -37,6 +128,10 @@ async function applyTheme(theme) {
         console.log(`Removing ${existingStyles.length} existing theme styles`);
         existingStyles.forEach(style => style.remove());
     }
+
+    // The personal CSS doesn't wait for the theme; injectStyle() moves it after the theme's style
+    applyUserCss(theme);
+    applyAccessibility();
     
     // If we're switching to the default theme, we're done
     if (theme === 'default') {
@@ -51,19 +146,76 @@ async function applyTheme(theme) {
         return;
     }
 
+    // Use the prepared CSS straight away if we have it - no awaits, so on page load
+    // the style is in place before the portal's markup is even parsed
+    const cachedCss = themeCssCache[theme] || {};
+    const cachedType = resolveStyledPageType(pageType, type => Boolean(cachedCss[type]));
+    if (cachedType) {
+        injectStyle(cachedCss[cachedType], theme, 'cache');
+        console.log(`Applied ${theme} theme for ${pageType} page from cache (${cachedType} styles)`);
+        return;
+    }
+
     try {
-        // Build the key for storage
-        const storageKey = `${theme}-${pageType}`;
-        console.log(`Looking for cached theme: ${storageKey}`);
+        // Build the keys for storage: this page type's, then those it falls back to
+        const pageTypes = getPageTypeChain(pageType);
+        const storageKeys = pageTypes.map(type => `${theme}-${type}`);
+        console.log(`Looking for cached theme: ${storageKeys.join(', ')}`);
         
-        // Try to get the theme from storage
-        const result = await browserAPI.storage.local.get(storageKey);
+        const paletteKey = `${theme}-palette`;
         
-        if (!result[storageKey]) {
-            console.warn(`Theme file ${storageKey} not found in storage`);
+        // Try to get the theme from storage, along with its manifest
+        const result = await browserAPI.storage.local.get([...storageKeys, paletteKey, 'themes_config']);
+        if (generation !== applyGeneration) return;
+
+        // Palette themes are composed from their tokens and the shared base stylesheet.
+        // Full-CSS (legacy) themes are stored per page type and take precedence.
+        let themeConfig = (result.themes_config || {})[theme];
+        const storedType = pageTypes.find(type => result[`${theme}-${type}`]);
+        if (!themeConfig && !storedType && !result[paletteKey]) {
+            // Not in the registry we know of (e.g. offline on a fresh install) - it may ship with the extension
+            themeConfig = await loadPackagedManifest(theme);
+            if (generation !== applyGeneration) return;
+        }
+
+        // A palette only covers the generic page type at the end of the chain, so
+        // full CSS stored for a more specific one still wins
+        const palette = result[paletteKey] || (themeConfig && themeConfig.palette);
+        const paletteType = palette && pageTypes.find(hasBaseStylesheet);
+        if (!storedType && paletteType) {
+            const baseCss = await loadBaseStylesheet(paletteType);
+            if (generation !== applyGeneration) return;
+
+            injectStyle(composeThemeCss(palette, baseCss), theme, 'palette');
+            console.log(`Successfully applied ${theme} palette theme for ${pageType} page`);
+            return;
+        }
+        
+        if (!storedType) {
+            console.warn(`Theme files ${storageKeys.join(', ')} not found in storage`);
+
+            if (!themeConfig) {
+                console.log(`Theme ${theme} is neither stored nor packaged`);
+                return;
+            }
+
+            // The manifest tells us which file covers this page type, if any
+            const themeFiles = getThemeFiles(themeConfig);
+            const fileType = resolveStyledPageType(pageType, type => Boolean(themeFiles[type]));
+            if (!fileType) {
+                console.log(`Theme ${theme} has no styles for ${pageType} pages`);
+                return;
+            }
+            const fileName = themeFiles[fileType];
+
+            // Ask the background script to fetch the missing files; once they're
+            // stored, the storage listener below applies them
+            sendBackgroundMessage('download', { themeId: theme }).catch(error => {
+                console.error(`Could not request download of ${theme}:`, error);
+            });
             
             // Look for fallback theme in the extension package
-            const fallbackUrl = browserAPI.runtime.getURL(`themes/${theme}/${theme}-${pageType}.css`);
+            const fallbackUrl = browserAPI.runtime.getURL(`${themeConfig.path}/${fileName}`);
             
             // Only attempt to use fallback if we're in a modern browser with fetch
             if (typeof fetch === 'function') {
@@ -72,7 +224,8 @@ async function applyTheme(theme) {
                     const response = await fetch(fallbackUrl);
                     if (response.ok) {
                         const css = await response.text();
-                        injectStyle(css, theme);
+                        if (generation !== applyGeneration) return;
+                        injectStyle(css, theme, 'package');
                     }
                 } catch (fallbackError) {
                     console.error('Failed to load fallback theme:', fallbackError);
@@ -82,8 +235,8 @@ async function applyTheme(theme) {
         }
 
         // We have the theme in storage, so inject it
-        injectStyle(result[storageKey], theme);
-        console.log(`Successfully applied ${theme} theme for ${pageType} page`);
+        injectStyle(result[`${theme}-${storedType}`], theme, 'storage');
+        console.log(`Successfully applied ${theme} theme for ${pageType} page (${storedType} styles)`);
         
     } catch (error) {
         console.error('Error while applying theme:', error);
@@ -94,36 +247,378 @@ async function applyTheme(theme) {
  * Helper function to inject CSS into the page
  * @param {string} css The CSS text to inject
  * @param {string} themeName The name of the theme (for data attribute)
+ * @param {string} source Where the CSS came from, for the timing report
  */
-function injectStyle(css, themeName) {
+function injectStyle(css, themeName, source) {
     const style = document.createElement('style');
     style.textContent = css;
     style.setAttribute('data-theme-style', themeName);
-    document.head.appendChild(style);
+
+    // At document_start there may be no <head> yet; styles work anywhere in the document
+    (document.head || document.documentElement).appendChild(style);
+    themeInjected = true;
+    applyUserCss(themeName);
+    scheduleCoverageCheck();
+
+    // Lets the background script keep the themes you actually use
+    if (!reportedThemes.has(themeName)) {
+        reportedThemes.add(themeName);
+        sendBackgroundMessage('theme-applied', { themeId: themeName }).catch(error => {
+            console.error('Could not report applied theme:', error);
+        });
+    }
+
+    if (themeTiming.injected === null) {
+        themeTiming.injected = performance.now();
+        themeTiming.injectedFrom = source;
+        reportThemeTiming();
+    }
+}
+
+/**
+ * Shows the previewed theme for the current page type in place of the real one
+ */
+function showPreview() {
+    // Stop a slow applyTheme() from adding the real theme back
+    applyGeneration++;
+    document.querySelectorAll('style[data-theme-style]').forEach(style => style.remove());
+
+    const previewType = resolveStyledPageType(getPageType(), type => Boolean(previewedTheme.css[type]));
+    const css = previewType && previewedTheme.css[previewType];
+    themeInjected = Boolean(css);
+    if (css) {
+        const style = document.createElement('style');
+        style.textContent = css;
+        style.setAttribute('data-theme-style', previewedTheme.themeId);
+        style.setAttribute('data-theme-preview', '');
+        (document.head || document.documentElement).appendChild(style);
+    }
+    applyUserCss(previewedTheme.themeId);
+    applyAccessibility();
+    console.log(`Previewing theme ${previewedTheme.themeId}`);
+}
+
+/**
+ * Injects the personal CSS for a theme on this page type after the theme's own style,
+ * so it wins over the theme's rules of the same specificity. Like theme files, a page
+ * type without personal CSS of its own uses that of the page type it falls back to.
+ * @param {string} themeId The theme on the page ('default' included)
+ */
+function applyUserCss(themeId) {
+    document.querySelectorAll('style[data-user-css]').forEach(style => style.remove());
+
+    const pageType = resolveStyledPageType(getPageType(), type => Boolean(getUserCss(userCss, themeId, type)));
+    const css = pageType ? getUserCss(userCss, themeId, pageType) : '';
+    if (!css) return;
+
+    const style = document.createElement('style');
+    style.textContent = css;
+    style.setAttribute('data-user-css', themeId);
+    (document.head || document.documentElement).appendChild(style);
+}
+
+/**
+ * Injects the accessibility modifiers that are on, on every page type we recognize.
+ * Their rules are all !important, so they hold whatever order the styles end up in.
+ */
+function applyAccessibility() {
+    const css = getPageType() ? buildAccessibilityCss(accessibilitySettings) : '';
+    let style = document.querySelector('style[data-accessibility]');
+
+    if (!css) {
+        if (style) style.remove();
+        return;
+    }
+    if (!style) {
+        style = document.createElement('style');
+        style.setAttribute('data-accessibility', '');
+        (document.head || document.documentElement).appendChild(style);
+    }
+    style.textContent = css;
+}
+
+/**
+ * Looks for the elements every selector of the injected theme is meant to style.
+ * The personal CSS isn't checked - only the theme's own rules.
+ * @returns {Object|null} {themeId, pageType, url, checkedAt, total, unmatchedCount, unmatched, invalid},
+ *     or null if no theme is injected
+ */
+function checkSelectorCoverage() {
+    const style = document.querySelector('style[data-theme-style]');
+    const pageType = getPageType();
+    if (!style || !pageType) return null;
+
+    const selectors = extractSelectors(style.textContent);
+    const unmatched = [];
+    const invalid = [];
+    for (const selector of selectors) {
+        try {
+            if (!document.querySelector(toMatchableSelector(selector))) {
+                unmatched.push(selector);
+            }
+        } catch (error) {
+            // Syntax this browser doesn't understand, or a typo in the theme
+            invalid.push(selector);
+        }
+    }
+
+    return {
+        themeId: style.getAttribute('data-theme-style'),
+        pageType,
+        url: `${window.location.origin}${window.location.pathname}`,
+        checkedAt: new Date().toISOString(),
+        total: selectors.length,
+        unmatchedCount: unmatched.length,
+        unmatched: unmatched.slice(0, MAX_REPORTED_SELECTORS),
+        invalid: invalid.slice(0, MAX_REPORTED_SELECTORS)
+    };
+}
+
+/**
+ * Checks the theme's selectors once the page has had time to render, and sends the
+ * report to the background script for the popup. Only runs with diagnostics on.
+ */
+function scheduleCoverageCheck() {
+    if (!diagnosticsEnabled || previewedTheme) return;
+
+    clearTimeout(coverageTimer);
+    coverageTimer = setTimeout(() => {
+        const report = checkSelectorCoverage();
+        if (!report) return;
+
+        console.log(`Selector coverage of ${report.themeId} on ${report.pageType} page: ${describeCoverage(report)}`, report.unmatched);
+        sendBackgroundMessage('coverage-report', { report }).catch(error => {
+            console.error('Could not report selector coverage:', error);
+        });
+    }, COVERAGE_CHECK_DELAY_MS);
+}
+
+/**
+ * Logs how early the theme arrived once the page's first paint (and the replayed
+ * old path, if it's being measured) are known
+ */
+function reportThemeTiming() {
+    const { injected, firstContentfulPaint, legacyInjected } = themeTiming;
+    if (injected === null || firstContentfulPaint === null) return;
+    if (measuringOldPath && legacyInjected === null) return;
+
+    const paintedThemed = injected <= firstContentfulPaint;
+    let message = `Theme injected from ${themeTiming.injectedFrom} at ${injected.toFixed(1)}ms, ` +
+        `first paint at ${firstContentfulPaint.toFixed(1)}ms (${paintedThemed ? 'no' : 'visible'} flash)`;
+    if (legacyInjected !== null) {
+        message += `; the old document_idle path got its CSS at ${legacyInjected.toFixed(1)}ms at the earliest ` +
+            `(${(legacyInjected - injected).toFixed(1)}ms later)`;
+    }
+    console.log(message);
+}
+
+/**
+ * Reads and clears the flag set by measureOldPath(), so the replay runs on one load only
+ * @returns {boolean} Whether to replay the old path on this load
+ */
+function consumeMeasureOldPathFlag() {
+    try {
+        const requested = sessionStorage.getItem(MEASURE_OLD_PATH_KEY) !== null;
+        sessionStorage.removeItem(MEASURE_OLD_PATH_KEY);
+        return requested;
+    } catch (error) {
+        // Storage can be blocked for the portal's site; then there's nothing to measure
+        return false;
+    }
+}
+
+/**
+ * Reloads the tab and, on that load only, replays the old theme path to compare with
+ */
+function measureOldPath() {
+    sessionStorage.setItem(MEASURE_OLD_PATH_KEY, '1');
+    window.location.reload();
 }
 
-// Apply the theme when the page loads
-browserAPI.storage.local.get('theme', function(data) {
-    // Give the page a moment to finish loading
-    setTimeout(() => {
+/**
+ * Repeats what the old content script did at document_idle (read the theme, wait 100ms,
+ * read the page's styles) without injecting anything, and records when it had them.
+ * Started at DOMContentLoaded, the earliest document_idle can be, so it's a lower bound.
+ */
+function replayOldThemePath() {
+    browserAPI.storage.local.get('theme', function(data) {
         const savedTheme = data.theme || 'default';
-        console.log(`Page loaded, applying saved theme: ${savedTheme}`);
-        applyTheme(savedTheme);
-    }, 100);
+        const pageType = getPageType();
+        // The old path had nothing to inject for the default theme or an unknown page
+        if (savedTheme === 'default' || !pageType) {
+            console.log('Old theme path not measured: it injected nothing on this page');
+            return;
+        }
+
+        setTimeout(() => {
+            const storageKeys = [...getPageTypeChain(pageType).map(type => `${savedTheme}-${type}`), `${savedTheme}-palette`];
+            browserAPI.storage.local.get(storageKeys, function() {
+                themeTiming.legacyInjected = performance.now();
+                reportThemeTiming();
+            });
+        }, 100);
+    });
+}
+
+// Record the page milestones the theme timing is compared against
+new PerformanceObserver(function(list, observer) {
+    const entry = list.getEntriesByName('first-contentful-paint')[0];
+    if (entry) {
+        themeTiming.firstContentfulPaint = entry.startTime;
+        observer.disconnect();
+        reportThemeTiming();
+    }
+}).observe({ type: 'paint', buffered: true });
+
+document.addEventListener('DOMContentLoaded', function() {
+    themeTiming.domContentLoaded = performance.now();
+    if (measuringOldPath) {
+        replayOldThemePath();
+    }
+}, { once: true });
+
+/**
+ * Re-applies the theme if the portal navigated to a different page type,
+ * or if the page swapped out our style element while re-rendering
+ */
+function checkRoute() {
+    const { pageTypeChanged, pageType } = routeTracker.update(window.location.href);
+    const styleMissing = themeInjected && !document.querySelector('style[data-theme-style]');
+
+    // A course rule can change the theme without the page type changing
+    const ruleChanged = getPageTheme(currentTheme) !== appliedTheme;
+
+    if (pageTypeChanged || styleMissing || ruleChanged) {
+        console.log(`Route changed to ${pageType || 'unknown'} page, re-applying theme`);
+        if (previewedTheme) {
+            showPreview();
+        } else {
+            applyTheme(currentTheme);
+        }
+    }
+}
+
+// Several navigation signals usually fire together, so only check once per burst
+let routeCheckTimer = null;
+function scheduleRouteCheck() {
+    if (routeCheckTimer) return;
+    routeCheckTimer = setTimeout(() => {
+        routeCheckTimer = null;
+        checkRoute();
+    }, 50);
+}
+
+/**
+ * Starts listening for the different ways the portal can change route
+ * without a full page load
+ */
+function watchRoute() {
+    // pushState/replaceState calls reported by route-hook.js
+    window.addEventListener(LOCATION_CHANGE_EVENT, scheduleRouteCheck);
+
+    // Back/forward buttons and hash-based routes
+    window.addEventListener('popstate', scheduleRouteCheck);
+    window.addEventListener('hashchange', scheduleRouteCheck);
+
+    // Large DOM swaps - also catches navigation when the page hook couldn't run
+    const observer = new MutationObserver(scheduleRouteCheck);
+    observer.observe(document.documentElement, { childList: true, subtree: true });
+}
+
+// Apply the theme as soon as the page starts loading (content.js runs at document_start)
+browserAPI.storage.local.get(['theme', 'theme_rules', 'theme_css_cache', 'user_css', 'accessibility_settings', 'diagnostics_enabled'], function(data) {
+    const savedTheme = data.theme || 'default';
+    themeRules = data.theme_rules || DEFAULT_THEME_RULES;
+    userCss = data.user_css || {};
+    accessibilitySettings = { ...DEFAULT_ACCESSIBILITY_SETTINGS, ...data.accessibility_settings };
+    diagnosticsEnabled = Boolean(data.diagnostics_enabled);
+    themeCssCache = data.theme_css_cache || {};
+    console.log(`Page loading, applying saved theme: ${savedTheme}`);
+    routeTracker.update(window.location.href);
+    applyTheme(savedTheme);
+    watchRoute();
 });
 
 // Listen for theme changes while browsing
-browserAPI.storage.onChanged.addListener(function(changes) {
+browserAPI.storage.onChanged.addListener(function(changes, areaName) {
+    // Synced preferences reach us through storage.local once background.js has checked them
+    if (areaName !== 'local') return;
+
+    if (changes.theme_css_cache) {
+        themeCssCache = changes.theme_css_cache.newValue || {};
+    }
+
+    if (changes.theme_rules) {
+        themeRules = changes.theme_rules.newValue || DEFAULT_THEME_RULES;
+    }
+
+    // Personal CSS is swapped on its own, without re-applying the theme
+    if (changes.user_css) {
+        userCss = changes.user_css.newValue || {};
+        applyUserCss(previewedTheme ? previewedTheme.themeId : appliedTheme);
+    }
+
+    if (changes.accessibility_settings) {
+        accessibilitySettings = { ...DEFAULT_ACCESSIBILITY_SETTINGS, ...changes.accessibility_settings.newValue };
+        applyAccessibility();
+    }
+
+    if (changes.diagnostics_enabled) {
+        diagnosticsEnabled = Boolean(changes.diagnostics_enabled.newValue);
+        scheduleCoverageCheck();
+    }
+
+    // Picking a theme ends any preview; anything else waits until the preview ends
+    if (changes.theme) {
+        previewedTheme = null;
+    } else if (previewedTheme) {
+        return;
+    }
+
     if (changes.theme) {
         const newTheme = changes.theme.newValue;
         console.log(`Theme changed to: ${newTheme}`);
         applyTheme(newTheme);
+    } else if (changes.theme_rules) {
+        console.log('Theme rules changed, re-applying');
+        applyTheme(currentTheme);
+    } else if (getPageTypeChain(getPageType()).some(type => changes[`${appliedTheme}-${type}`]) || changes[`${appliedTheme}-palette`]) {
+        // The theme on this page was updated in place, so its cached CSS is stale too
+        console.log(`Theme ${appliedTheme} was updated, re-applying`);
+        delete themeCssCache[appliedTheme];
+        applyTheme(currentTheme);
     }
 });
 
+// Theme previews from the popup, which only ever touch this tab
+browserAPI.runtime.onMessage.addListener(function(message) {
+    if (message.type === 'theme-preview') {
+        previewedTheme = { themeId: message.themeId, css: message.css };
+        showPreview();
+    } else if (message.type === 'theme-preview-end' && previewedTheme) {
+        console.log('Preview ended, re-applying theme');
+        previewedTheme = null;
+        applyTheme(currentTheme);
+    }
+});
+
+// Let the background script know the OS color scheme, for themes that follow it
+const colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+function reportColorScheme() {
+    sendBackgroundMessage('color-scheme', { dark: colorSchemeQuery.matches }).catch(error => {
+        console.error('Could not report color scheme:', error);
+    });
+}
+colorSchemeQuery.addEventListener('change', reportColorScheme);
+reportColorScheme();
+
 // For debugging - expose these functions to the console
 window.__themeDebug = {
     applyTheme,
-    getPageType
+    getPageType,
+    routeTracker,
+    timing: themeTiming,
+    measureOldPath,
+    checkCoverage: checkSelectorCoverage
 };
 
@@ -0,0 +1,459 @@
+// Use the appropriate browser API
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// The custom theme being edited, or null while creating a new one
+let EDITING_THEME_ID = new URLSearchParams(window.location.search).get('theme');
+
+// Optional palette tokens of the theme being edited (e.g. accentHover from an imported
+// theme), which have no color picker but are kept when the theme is saved
+let OPTIONAL_PALETTE_COLORS = {};
+
+// Page type shown in the preview frame
+let PREVIEW_PAGE_TYPE = 'assignments';
+
+// Base stylesheets already fetched, keyed by page type
+const BASE_STYLESHEETS = {};
+
+// Minimal copies of the portal's markup, using the classes the themes target
+const PREVIEW_MARKUP = {
+    home: `
+        <nav class="navbar navbar-expand-lg navbar-light bg-light p-3"><strong>IITM Dashboard</strong></nav>
+        <div class="row mt-3 py-3">
+            <a class="nav-link mb-sm-3 mb-md-0 active">Current Courses</a>
+            <a class="nav-link mb-sm-3 mb-md-0">Completed Courses</a>
+        </div>
+        <h3>Welcome back</h3>
+        <p>You have 2 assignments due this week. <a href="#">View all</a></p>
+        <input type="text" placeholder="Search courses"> <button class="btn">Go</button>`,
+    assignments: `
+        <div class="header ng-tns-c25-0"><strong>Course Portal</strong></div>
+        <div class="modules__content-main">
+            <div class="module-title-container"><h3>Week 3 - Graded Assignment</h3></div>
+            <div class="gcb-cols gcb-question-counter-increment gcb-question-row">
+                <p>1) Which of these is a prime number?</p>
+                <label><input type="radio" name="q" checked> 7</label>
+                <label><input type="radio" name="q"> 9</label>
+                <p><span class="correct">Correct answer</span> · <span class="incorrect">Your answer</span></p>
+            </div>
+            <div class="gcb-cols gcb-question-counter-increment gcb-question-row">
+                <p>2) Explain your reasoning.</p>
+                <textarea rows="2">Because...</textarea>
+            </div>
+            <p class="gcb-submission-due-date">Due date: 2025-01-01, 23:59 IST</p>
+            <button class="btn">Submit</button> <a href="#">Read the instructions</a>
+        </div>`,
+    extras: `
+        <h3>Student Documents</h3>
+        <table class="display dataTable no-footer">
+            <tr class="odd"><td class="sorting_1">Hall ticket</td><td>Available</td></tr>
+            <tr class="even"><td class="sorting_1">Grade card</td><td>Pending</td></tr>
+        </table>
+        <p class="font-weight-400 text-dark">Download links appear once documents are ready.</p>`
+};
+
+/**
+ * Reads the current palette from the color pickers, plus the optional tokens the theme already had
+ * @returns {Object} Colors keyed by PALETTE_FIELDS key
+ */
+function readPalette() {
+    const palette = { ...OPTIONAL_PALETTE_COLORS };
+    for (const { key } of PALETTE_FIELDS.filter(field => !field.optional)) {
+        palette[key] = document.getElementById(`color-${key}`).value;
+    }
+    return palette;
+}
+
+/**
+ * Redraws the preview frame with the base stylesheet and the current palette
+ */
+async function updatePreview() {
+    const pageType = PREVIEW_PAGE_TYPE;
+    if (!BASE_STYLESHEETS[pageType]) {
+        const response = await fetch(`base/${pageType}.css`);
+        BASE_STYLESHEETS[pageType] = await response.text();
+    }
+
+    // The user may have switched page type while we were fetching
+    if (pageType !== PREVIEW_PAGE_TYPE) return;
+
+    const css = composeThemeCss(readPalette(), BASE_STYLESHEETS[pageType]);
+    document.getElementById('preview-frame').srcdoc =
+        `<!DOCTYPE html><html><head><style>body { font-family: sans-serif; padding: 12px; }</style>` +
+        `<style>${css}</style></head><body>${PREVIEW_MARKUP[PREVIEW_PAGE_TYPE]}</body></html>`;
+}
+
+/**
+ * Adds a color picker for every palette field
+ * @param {Object} palette Initial colors
+ */
+function createPaletteFields(palette) {
+    const container = document.getElementById('palette-fields');
+
+    for (const { key, label, fallback } of PALETTE_FIELDS.filter(field => !field.optional)) {
+        const field = document.createElement('label');
+        field.className = 'field';
+
+        const name = document.createElement('span');
+        name.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = 'color';
+        input.id = `color-${key}`;
+        input.value = palette[key] || fallback;
+        input.addEventListener('input', updatePreview);
+
+        field.appendChild(name);
+        field.appendChild(input);
+        container.appendChild(field);
+    }
+}
+
+/**
+ * Adds a dropdown above the preview to switch which page type it shows
+ */
+function createPreviewSwitcher() {
+    const label = document.querySelector('.preview-label');
+    const select = document.createElement('select');
+
+    for (const pageType of Object.keys(PREVIEW_MARKUP)) {
+        const option = document.createElement('option');
+        option.value = pageType;
+        option.textContent = pageType.charAt(0).toUpperCase() + pageType.slice(1);
+        option.selected = pageType === PREVIEW_PAGE_TYPE;
+        select.appendChild(option);
+    }
+
+    select.addEventListener('change', function() {
+        PREVIEW_PAGE_TYPE = this.value;
+        updatePreview();
+    });
+
+    label.appendChild(document.createTextNode(' of the '));
+    label.appendChild(select);
+    label.appendChild(document.createTextNode(' page'));
+}
+
+/**
+ * Shows a list of problems (or clears it)
+ * @param {string[]} errors The problems to show
+ * @param {string} [listId] Which error list to use
+ */
+function showErrors(errors, listId = 'editor-errors') {
+    const list = document.getElementById(listId);
+    list.textContent = '';
+    for (const error of errors) {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Shows a short status message under the buttons
+ * @param {string} text The message
+ */
+function showStatus(text) {
+    document.getElementById('editor-status').textContent = text;
+}
+
+/**
+ * Fills the export dropdown with every theme we have the styles for
+ */
+async function populateExportList() {
+    const select = document.getElementById('export-theme');
+    const { themes, downloaded } = await sendBackgroundMessage('list', { refresh: false });
+
+    select.textContent = '';
+    for (const themeId of downloaded) {
+        const option = document.createElement('option');
+        option.value = themeId;
+        option.textContent = themes[themeId] ? themes[themeId].name : themeId;
+        select.appendChild(option);
+    }
+
+    document.getElementById('export-button').disabled = downloaded.length === 0;
+}
+
+/**
+ * Saves a theme bundle as a .json file
+ * @param {Object} bundle The bundle to save
+ */
+function saveBundleFile(bundle) {
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${bundle.id}.theme.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/**
+ * Sends an import request, asking the user what to do if the theme already exists
+ * @param {Object} request Either {bundle} or {url}
+ */
+async function runImport(request) {
+    const result = await sendBackgroundMessage('import', request);
+
+    if (result.conflict) {
+        document.getElementById('import-conflict-text').textContent =
+            `You already have a theme called "${result.name}". Replace it or keep both?`;
+        const conflictBox = document.getElementById('import-conflict');
+        conflictBox.hidden = false;
+
+        const resolution = await new Promise(resolve => {
+            conflictBox.querySelectorAll('button').forEach(button => {
+                button.onclick = () => resolve(button.dataset.resolution);
+            });
+        });
+        conflictBox.hidden = true;
+
+        if (resolution === 'cancel') {
+            document.getElementById('share-status').textContent = 'Import cancelled';
+            return;
+        }
+        return runImport({ ...request, resolution });
+    }
+
+    if (!result.success) {
+        showErrors(result.errors, 'share-errors');
+        return;
+    }
+
+    document.getElementById('share-status').textContent = '✅ Imported! Pick it from the Better Portal popup.';
+
+    // Parts of the CSS our safety checks removed or want the user to know about
+    const notes = [
+        ...(result.blocked || []).map(problem => `Removed ${problem}`),
+        ...(result.flagged || []).map(problem => `Warning: ${problem}`)
+    ];
+    showErrors(notes, 'share-errors');
+    await populateExportList();
+}
+
+/**
+ * Wires up the import & export section
+ */
+function setupSharing() {
+    const fileInput = document.getElementById('import-file');
+    const urlInput = document.getElementById('import-url');
+
+    populateExportList().catch(error => {
+        console.error('Error listing themes to export:', error);
+    });
+
+    document.getElementById('export-button').addEventListener('click', async function() {
+        showErrors([], 'share-errors');
+        try {
+            const result = await sendBackgroundMessage('export', {
+                themeId: document.getElementById('export-theme').value
+            });
+            if (!result.success) {
+                showErrors(result.errors, 'share-errors');
+                return;
+            }
+            saveBundleFile(result.bundle);
+        } catch (error) {
+            console.error('Error exporting theme:', error);
+            showErrors(['Could not export the theme, please try again'], 'share-errors');
+        }
+    });
+
+    document.getElementById('import-button').addEventListener('click', async function() {
+        showErrors([], 'share-errors');
+        document.getElementById('share-status').textContent = '';
+
+        try {
+            if (fileInput.files.length > 0) {
+                let bundle;
+                try {
+                    bundle = JSON.parse(await fileInput.files[0].text());
+                } catch (error) {
+                    showErrors(['That file is not valid JSON'], 'share-errors');
+                    return;
+                }
+
+                // Check it here first so obvious mistakes don't need a round trip
+                const errors = validateThemeBundle(bundle);
+                if (errors.length > 0) {
+                    showErrors(errors, 'share-errors');
+                    return;
+                }
+
+                await runImport({ bundle });
+                fileInput.value = '';
+            } else if (urlInput.value.trim()) {
+                const url = urlInput.value.trim();
+
+                // The bundle can be on any server, so ask for access to just that one.
+                // This has to happen straight from the click, before any other await.
+                if (/^https:\/\//.test(url)) {
+                    const granted = await browserAPI.permissions.request({ origins: [`${new URL(url).origin}/*`] });
+                    if (!granted) {
+                        showErrors(['Better Portal needs permission to read that server'], 'share-errors');
+                        return;
+                    }
+                }
+
+                await runImport({ url });
+                urlInput.value = '';
+            } else {
+                showErrors(['Choose a bundle file or paste a URL first'], 'share-errors');
+            }
+        } catch (error) {
+            console.error('Error importing theme:', error);
+            showErrors(['Could not import the theme, please try again'], 'share-errors');
+        }
+    });
+}
+
+/**
+ * Wires up the personal CSS section: pick a theme (or all of them) and a page type,
+ * then edit the CSS layered on top of it
+ */
+async function setupOverrides() {
+    const themeSelect = document.getElementById('override-theme');
+    const pageSelect = document.getElementById('override-page');
+    const cssInput = document.getElementById('override-css');
+    const status = document.getElementById('override-status');
+
+    const { themes, downloaded } = await sendBackgroundMessage('list', { refresh: false });
+    let userCss = await sendBackgroundMessage('user-css-get');
+
+    // Themes that only have overrides left (e.g. removed since) stay editable so they can be cleaned up
+    const themeIds = Array.from(new Set(['default', ...downloaded, ...Object.keys(userCss)]))
+        .filter(themeId => themeId !== USER_CSS_ALL_THEMES);
+    const themeOptions = [[USER_CSS_ALL_THEMES, 'All themes'], ['default', 'Default Theme'],
+        ...themeIds.filter(themeId => themeId !== 'default').map(themeId => [themeId, themes[themeId] ? themes[themeId].name : themeId])];
+    for (const [value, name] of themeOptions) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = name;
+        themeSelect.appendChild(option);
+    }
+    for (const [pageType, { label }] of Object.entries(PAGE_TYPES)) {
+        const option = document.createElement('option');
+        option.value = pageType;
+        option.textContent = `${label} pages`;
+        pageSelect.appendChild(option);
+    }
+
+    const showOverride = () => {
+        const pages = userCss[themeSelect.value] || {};
+        cssInput.value = pages[pageSelect.value] || '';
+        showErrors([], 'override-errors');
+        status.textContent = '';
+    };
+    themeSelect.addEventListener('change', showOverride);
+    pageSelect.addEventListener('change', showOverride);
+    showOverride();
+
+    const save = async css => {
+        showErrors([], 'override-errors');
+        try {
+            const themeId = themeSelect.value;
+            const pageType = pageSelect.value;
+            const result = await sendBackgroundMessage('user-css-save', { themeId, pageType, css });
+            if (!result.success) {
+                showErrors(result.errors, 'override-errors');
+                return;
+            }
+
+            // Keep our copy in step so switching back shows what was saved
+            userCss = setUserCss(userCss, themeId, pageType, css);
+            cssInput.value = css;
+            status.textContent = css.trim() ? '✅ Saved! Open portal tabs update straight away.' : 'Personal CSS removed';
+        } catch (error) {
+            console.error('Error saving personal CSS:', error);
+            showErrors(['Could not save the CSS, please try again'], 'override-errors');
+        }
+    };
+
+    document.getElementById('override-save').addEventListener('click', () => save(cssInput.value));
+    document.getElementById('override-remove').addEventListener('click', () => save(''));
+}
+
+/**
+ * Setup the editor when the page opens
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+    const nameInput = document.getElementById('theme-name');
+    const deleteButton = document.getElementById('delete-theme');
+    let palette = {};
+
+    // Load the theme we were asked to edit, if it still exists
+    if (EDITING_THEME_ID) {
+        try {
+            const customThemes = await sendBackgroundMessage('custom-list');
+            const customTheme = customThemes[EDITING_THEME_ID];
+            if (customTheme) {
+                nameInput.value = customTheme.name;
+                palette = customTheme.palette;
+                for (const { key } of PALETTE_FIELDS.filter(field => field.optional && palette[key])) {
+                    OPTIONAL_PALETTE_COLORS[key] = palette[key];
+                }
+                deleteButton.hidden = false;
+            } else {
+                EDITING_THEME_ID = null;
+            }
+        } catch (error) {
+            console.error('Error loading custom theme:', error);
+        }
+    }
+
+    createPaletteFields(palette);
+    createPreviewSwitcher();
+    updatePreview();
+    setupSharing();
+    setupOverrides().catch(error => {
+        console.error('Error loading personal CSS:', error);
+    });
+
+    document.getElementById('theme-form').addEventListener('submit', async function(event) {
+        event.preventDefault();
+        showErrors([]);
+
+        try {
+            const result = await sendBackgroundMessage('custom-save', {
+                themeId: EDITING_THEME_ID,
+                name: nameInput.value,
+                palette: readPalette()
+            });
+
+            if (!result.success) {
+                showErrors(result.errors);
+                return;
+            }
+
+            // Keep editing the saved theme rather than creating another copy
+            EDITING_THEME_ID = result.themeId;
+            history.replaceState(null, '', `?theme=${encodeURIComponent(EDITING_THEME_ID)}`);
+            deleteButton.hidden = false;
+            showStatus('✅ Saved! Pick it from the Better Portal popup.');
+        } catch (error) {
+            console.error('Error saving custom theme:', error);
+            showErrors(['Could not save the theme, please try again']);
+        }
+    });
+
+    deleteButton.addEventListener('click', async function() {
+        if (!EDITING_THEME_ID || !confirm(`Delete "${nameInput.value}"?`)) return;
+
+        try {
+            const { success } = await sendBackgroundMessage('custom-delete', { themeId: EDITING_THEME_ID });
+            if (!success) {
+                showErrors(['Switch to another theme before deleting this one']);
+                return;
+            }
+
+            EDITING_THEME_ID = null;
+            OPTIONAL_PALETTE_COLORS = {};
+            history.replaceState(null, '', window.location.pathname);
+            deleteButton.hidden = true;
+            nameInput.value = '';
+            showStatus('Theme deleted');
+        } catch (error) {
+            console.error('Error deleting custom theme:', error);
+            showErrors(['Could not delete the theme, please try again']);
+        }
+    });
+});
@@ -0,0 +1,785 @@
+// The options page: the full theme gallery and every setting. Shares the theme list
+// (shared/theme-list.js) and the theme state (shared/theme-state.js) with the popup.
+
+// Use the appropriate browser API
+const browserAPI = typeof browser !== 'undefined' ? browser : chrome;
+
+// What the theme gallery is filtered by and how it's ordered (see shared/theme-gallery.js)
+let galleryQuery = '';
+let gallerySort = 'source';
+
+/**
+ * Draws the gallery, with search and sort once there are enough themes to need them
+ * @param {Object} themesState The theme state from the background script
+ */
+async function drawGallery(themesState) {
+    const showTools = Object.keys(themesState.themes).length >= GALLERY_TOOLS_MIN_THEMES;
+    document.getElementById('gallery-tools').hidden = !showTools;
+
+    await createThemeList(themesState, {
+        query: showTools ? galleryQuery.trim() : '',
+        sortKey: showTools ? gallerySort : 'source'
+    });
+    showRegistryStatus(themesState);
+}
+
+/**
+ * Fills in the gallery's sort options and redraws the list as the user searches or sorts
+ */
+function setupGalleryTools() {
+    const search = document.getElementById('gallery-search');
+    const sort = document.getElementById('gallery-sort');
+
+    for (const { key, label } of GALLERY_SORTS) {
+        sort.appendChild(createElement('option', { value: key, textContent: label }));
+    }
+    sort.value = gallerySort;
+
+    const redraw = () => {
+        if (!THEMES_STATE) return;
+        drawGallery(THEMES_STATE).catch(error => {
+            console.error('Error drawing the theme list:', error);
+        });
+    };
+    search.addEventListener('input', () => {
+        galleryQuery = search.value;
+        redraw();
+    });
+    sort.addEventListener('change', () => {
+        gallerySort = sort.value;
+        redraw();
+    });
+}
+
+/**
+ * Opens the theme editor in a new tab
+ * @param {string} [themeId] A custom theme to edit, or nothing to create one
+ * @param {string} [section] Part of the page to scroll to (e.g. 'share')
+ */
+function openThemeEditor(themeId, section) {
+    const query = themeId ? `?theme=${encodeURIComponent(themeId)}` : '';
+    const hash = section ? `#${section}` : '';
+    browserAPI.tabs.create({ url: browserAPI.runtime.getURL(`editor.html${query}${hash}`) });
+}
+
+/**
+ * Creates a dropdown of every theme the schedule can switch to
+ * @param {Object} themes Theme configs keyed by theme ID
+ * @param {string} selected The theme ID to preselect
+ * @returns {HTMLElement} The select element
+ */
+function createThemeSelect(themes, selected) {
+    const select = createElement('select', { className: 'settings-theme' });
+    const options = [['default', 'Default Theme'], ...Object.entries(themes).map(([id, config]) => [id, config.name])];
+
+    for (const [themeId, name] of options) {
+        const option = createElement('option', { value: themeId, textContent: name });
+        option.selected = themeId === selected;
+        select.appendChild(option);
+    }
+
+    return select;
+}
+
+/**
+ * Creates one "from HH:MM use theme" row of the schedule
+ * @param {Object} themes Theme configs keyed by theme ID
+ * @param {Object} entry The schedule entry ({start, theme})
+ * @returns {HTMLElement} The row element
+ */
+function createScheduleRow(themes, entry) {
+    const timeInput = createElement('input', { type: 'time', className: 'schedule-time', value: entry.start });
+    const removeBtn = createElement('button', { className: 'settings-remove', textContent: '✕', title: 'Remove' });
+    const row = createElement('div', { className: 'settings-row' }, [
+        'From ', timeInput, createThemeSelect(themes, entry.theme), removeBtn
+    ]);
+
+    removeBtn.addEventListener('click', () => row.remove());
+    return row;
+}
+
+/**
+ * Builds the automatic switching controls
+ * @param {Object} themesState The theme state from the background script
+ */
+async function createScheduleSettings(themesState) {
+    const container = document.getElementById('schedule-settings');
+    container.textContent = '';
+
+    const settings = await sendBackgroundMessage('schedule-get');
+    const { themes } = themesState;
+
+    // How themes are picked
+    const modeSelect = createElement('select', { id: 'schedule-mode' });
+    for (const [mode, label] of [['manual', 'Off'], ['system', 'Follow system dark mode'], ['schedule', 'By time of day']]) {
+        const option = createElement('option', { value: mode, textContent: label });
+        option.selected = settings.mode === mode;
+        modeSelect.appendChild(option);
+    }
+
+    // Follow system dark mode
+    const lightSelect = createThemeSelect(themes, settings.system.light);
+    const darkSelect = createThemeSelect(themes, settings.system.dark);
+    const systemFields = createElement('div', { className: 'settings-fields' }, [
+        createElement('div', { className: 'settings-row' }, ['Light ', lightSelect]),
+        createElement('div', { className: 'settings-row' }, ['Dark ', darkSelect])
+    ]);
+
+    // By time of day
+    const scheduleRows = createElement('div', { id: 'schedule-rows' });
+    for (const entry of settings.schedule) {
+        scheduleRows.appendChild(createScheduleRow(themes, entry));
+    }
+    const addBtn = createElement('button', { className: 'settings-add', textContent: '+ Add time' });
+    addBtn.addEventListener('click', () => {
+        scheduleRows.appendChild(createScheduleRow(themes, { start: '12:00', theme: 'default' }));
+    });
+    const scheduleFields = createElement('div', { className: 'settings-fields' }, [scheduleRows, addBtn]);
+
+    const showFields = () => {
+        systemFields.hidden = modeSelect.value !== 'system';
+        scheduleFields.hidden = modeSelect.value !== 'schedule';
+    };
+    modeSelect.addEventListener('change', showFields);
+    showFields();
+
+    const status = createElement('div', { className: 'settings-status' });
+    const saveBtn = createElement('button', { className: 'settings-save', textContent: 'Save' });
+    saveBtn.addEventListener('click', async () => {
+        const newSettings = {
+            mode: modeSelect.value,
+            system: { light: lightSelect.value, dark: darkSelect.value },
+            schedule: Array.from(scheduleRows.children).map(row => ({
+                start: row.querySelector('.schedule-time').value,
+                theme: row.querySelector('.settings-theme').value
+            }))
+        };
+
+        try {
+            const result = await sendBackgroundMessage('schedule-save', { settings: newSettings });
+            status.textContent = result.success ? '✅ Saved' : result.errors.join('\n');
+            if (result.success) {
+                await loadThemes(false);
+            }
+        } catch (error) {
+            console.error('Error saving schedule:', error);
+            status.textContent = '❌ Could not save';
+        }
+    });
+
+    container.appendChild(createElement('div', { className: 'settings-row' }, [modeSelect]));
+    container.appendChild(systemFields);
+    container.appendChild(scheduleFields);
+    container.appendChild(saveBtn);
+    container.appendChild(status);
+}
+
+/**
+ * Creates one "course matching ... uses theme" row of the course rules
+ * @param {Object} themes Theme configs keyed by theme ID
+ * @param {Object} rule The course rule ({match, theme})
+ * @returns {HTMLElement} The row element
+ */
+function createCourseRuleRow(themes, rule) {
+    const matchInput = createElement('input', {
+        type: 'text',
+        className: 'rule-match',
+        placeholder: 'Course ID or URL',
+        value: rule.match
+    });
+    const removeBtn = createElement('button', { className: 'settings-remove', textContent: '✕', title: 'Remove' });
+    const row = createElement('div', { className: 'settings-row' }, [
+        matchInput, createThemeSelect(themes, rule.theme), removeBtn
+    ]);
+
+    removeBtn.addEventListener('click', () => row.remove());
+    return row;
+}
+
+/**
+ * Builds the per-page-type and per-course theme controls
+ * @param {Object} themesState The theme state from the background script
+ */
+async function createRuleSettings(themesState) {
+    const container = document.getElementById('rule-settings');
+    container.textContent = '';
+
+    const rules = await sendBackgroundMessage('rules-get');
+    const { themes } = themesState;
+
+    const help = createElement('div', {
+        className: 'settings-status',
+        textContent: 'A matching course rule wins, then the page type\'s theme, then the active theme.'
+    });
+    container.appendChild(help);
+
+    // One dropdown per page type, with an option to follow the page type it falls
+    // back to, or for the generic ones, the active theme
+    const pageTypeSelects = {};
+    for (const [pageType, { label, fallback }] of Object.entries(PAGE_TYPES)) {
+        const select = createThemeSelect(themes, rules.pageTypes[pageType] || '');
+        const followText = fallback ? `Same as ${PAGE_TYPES[fallback].label}` : 'Active theme';
+        select.insertBefore(createElement('option', { value: '', textContent: followText }), select.firstChild);
+        select.value = rules.pageTypes[pageType] || '';
+        pageTypeSelects[pageType] = select;
+
+        container.appendChild(createElement('div', { className: 'settings-row' }, [`${label} `, select]));
+    }
+
+    // Course rules, checked in order
+    const courseRows = createElement('div', { id: 'course-rules', className: 'settings-fields' });
+    for (const rule of rules.courses) {
+        courseRows.appendChild(createCourseRuleRow(themes, rule));
+    }
+    const addBtn = createElement('button', { className: 'settings-add', textContent: '+ Add course rule' });
+    addBtn.addEventListener('click', () => {
+        courseRows.appendChild(createCourseRuleRow(themes, { match: '', theme: 'default' }));
+    });
+
+    const status = createElement('div', { className: 'settings-status' });
+    const saveBtn = createElement('button', { className: 'settings-save', textContent: 'Save' });
+    saveBtn.addEventListener('click', async () => {
+        const newRules = { pageTypes: {}, courses: [] };
+        for (const [pageType, select] of Object.entries(pageTypeSelects)) {
+            newRules.pageTypes[pageType] = select.value || null;
+        }
+        newRules.courses = Array.from(courseRows.children).map(row => ({
+            match: row.querySelector('.rule-match').value.trim(),
+            theme: row.querySelector('.settings-theme').value
+        }));
+
+        try {
+            const result = await sendBackgroundMessage('rules-save', { rules: newRules });
+            status.textContent = result.success ? '✅ Saved' : result.errors.join('\n');
+        } catch (error) {
+            console.error('Error saving theme rules:', error);
+            status.textContent = '❌ Could not save';
+        }
+    });
+
+    container.appendChild(courseRows);
+    container.appendChild(addBtn);
+    container.appendChild(saveBtn);
+    container.appendChild(status);
+}
+
+/**
+ * Describes when a theme was last used, for the storage panel
+ * @param {string|null} isoDate When it was last applied (or downloaded)
+ * @returns {string} e.g. 'used 3 days ago'
+ */
+function describeLastUse(isoDate) {
+    if (!isoDate) return 'never used';
+
+    const days = Math.floor((Date.now() - new Date(isoDate)) / (1000 * 60 * 60 * 24));
+    if (days === 0) return 'used today';
+    return `used ${days} day${days !== 1 ? 's' : ''} ago`;
+}
+
+/**
+ * Creates one theme row of the storage panel, with its size, pin and remove buttons
+ * @param {Object} entry The theme's storage info from the background script
+ * @param {Function} onChange Called after the theme was pinned or removed
+ * @returns {HTMLElement} The row element
+ */
+function createStorageRow(entry, onChange) {
+    const isActive = THEMES_STATE && THEMES_STATE.activeTheme === entry.themeId;
+    const name = createElement('span', {
+        className: 'storage-name',
+        textContent: entry.name,
+        title: `${entry.custom ? 'Custom theme' : 'Downloaded theme'}, ${describeLastUse(entry.lastApplied || entry.downloadedAt)}`
+    });
+    const size = createElement('span', { className: 'storage-size', textContent: formatBytes(entry.bytes) });
+
+    const removeBtn = createElement('button', {
+        className: 'settings-remove',
+        textContent: '✕',
+        title: isActive ? 'Switch to another theme before removing this one' : 'Remove'
+    });
+    removeBtn.disabled = isActive;
+    removeBtn.addEventListener('click', async () => {
+        // Custom themes only live here, so removing one can't be undone by downloading it again
+        if (entry.custom && !confirm(`Delete "${entry.name}"? This can't be undone.`)) return;
+
+        try {
+            await sendBackgroundMessage(entry.custom ? 'custom-delete' : 'remove', { themeId: entry.themeId });
+            await onChange();
+        } catch (error) {
+            console.error(`Error removing theme ${entry.themeId}:`, error);
+        }
+    });
+
+    const row = createElement('div', { className: 'settings-row' }, [name, size]);
+
+    // The retention policy never removes custom themes, so there's nothing to pin
+    if (!entry.custom) {
+        const pinBtn = createElement('button', {
+            className: `storage-pin${entry.pinned ? ' pinned' : ''}`,
+            textContent: '📌',
+            title: entry.pinned ? 'Pinned - never removed automatically' : 'Pin to keep it'
+        });
+        pinBtn.addEventListener('click', async () => {
+            try {
+                await sendBackgroundMessage('storage-pin', { themeId: entry.themeId, pinned: !entry.pinned });
+                await onChange();
+            } catch (error) {
+                console.error(`Error pinning theme ${entry.themeId}:`, error);
+            }
+        });
+        row.appendChild(pinBtn);
+    }
+
+    row.appendChild(removeBtn);
+    return row;
+}
+
+/**
+ * Builds the storage panel: usage per theme, the total, and the retention policy
+ */
+async function createStorageSettings() {
+    const container = document.getElementById('storage-settings');
+    const { themes, totalBytes, policy } = await sendBackgroundMessage('storage-get');
+    container.textContent = '';
+
+    const refresh = async () => {
+        await createStorageSettings();
+        await createSourceSettings();
+        await loadThemes(false);
+    };
+
+    container.appendChild(createElement('div', {
+        className: 'settings-status',
+        textContent: `Better Portal is using ${formatBytes(totalBytes)} of local storage`
+    }));
+
+    // Most recently used first
+    const lastUse = entry => new Date(entry.lastApplied || entry.downloadedAt || 0).getTime();
+    const themeRows = createElement('div', { className: 'settings-fields' });
+    for (const entry of [...themes].sort((a, b) => lastUse(b) - lastUse(a))) {
+        themeRows.appendChild(createStorageRow(entry, refresh));
+    }
+    if (themes.length === 0) {
+        themeRows.appendChild(createElement('div', { className: 'settings-status', textContent: 'No themes stored yet' }));
+    }
+    container.appendChild(themeRows);
+
+    // When downloaded themes get cleaned up automatically
+    const maxThemesInput = createElement('input', { type: 'number', className: 'storage-limit', min: '0', value: String(policy.maxThemes) });
+    const unusedDaysInput = createElement('input', { type: 'number', className: 'storage-limit', min: '0', value: String(policy.unusedDays) });
+    container.appendChild(createElement('div', { className: 'settings-fields' }, [
+        createElement('div', { className: 'settings-row' }, ['Keep at most ', maxThemesInput, ' downloaded themes']),
+        createElement('div', { className: 'settings-row' }, ['Remove themes unused for ', unusedDaysInput, ' days']),
+        createElement('div', { className: 'settings-status', textContent: 'Use 0 to turn a limit off. Active, pinned and scheduled themes are always kept.' })
+    ]));
+
+    const status = createElement('div', { className: 'settings-status' });
+    const saveBtn = createElement('button', { className: 'settings-save', textContent: 'Save' });
+    saveBtn.addEventListener('click', async () => {
+        const newPolicy = {
+            maxThemes: Number(maxThemesInput.value),
+            unusedDays: Number(unusedDaysInput.value)
+        };
+
+        try {
+            const result = await sendBackgroundMessage('retention-save', { policy: newPolicy });
+            if (!result.success) {
+                status.textContent = result.errors.join('\n');
+                return;
+            }
+            await refresh();
+        } catch (error) {
+            console.error('Error saving retention policy:', error);
+            status.textContent = '❌ Could not save';
+        }
+    });
+
+    container.appendChild(saveBtn);
+    container.appendChild(status);
+}
+
+/**
+ * Creates one row of the sources panel
+ * @param {Object} source The theme source
+ * @param {Object} [status] How its last fetch went ({error, updated})
+ * @param {Function} onChange Called after the source was removed
+ * @returns {HTMLElement} The row element
+ */
+function createSourceRow(source, status, onChange) {
+    const name = createElement('span', {
+        className: 'storage-name',
+        textContent: `${status && status.error ? '⚠ ' : ''}${source.name}`,
+        title: [
+            describeThemeSource(source),
+            status && status.error && `Last fetch failed: ${status.error}`,
+            status && status.error && status.retryAt && `Trying again at ${formatRetryTime(status.retryAt)}`
+        ]
+            .filter(Boolean).join('\n')
+    });
+    const row = createElement('div', { className: 'settings-row' }, [name]);
+
+    // Sources synced from another device need access granted here too
+    if (status && status.needsAccess) {
+        const grantBtn = createElement('button', { className: 'settings-add', textContent: 'Grant access' });
+        grantBtn.addEventListener('click', async () => {
+            try {
+                // Straight from the click, before any other await
+                const granted = await browserAPI.permissions.request({ origins: getThemeSourceOrigins(source) });
+                if (!granted) return;
+                await sendBackgroundMessage('list', { refresh: true, force: true });
+                await onChange(`✅ ${source.name} can be read now`);
+            } catch (error) {
+                console.error(`Error granting access to source ${source.id}:`, error);
+            }
+        });
+        row.appendChild(grantBtn);
+    }
+
+    if (source.id !== DEFAULT_THEME_SOURCE.id) {
+        const removeBtn = createElement('button', { className: 'settings-remove', textContent: '✕', title: 'Remove source and its themes' });
+        removeBtn.addEventListener('click', async () => {
+            if (!confirm(`Remove "${source.name}" and the themes downloaded from it?`)) return;
+            try {
+                const result = await sendBackgroundMessage('source-remove', { sourceId: source.id });
+                await onChange(result.success ? '' : result.errors.join('\n'));
+            } catch (error) {
+                console.error(`Error removing source ${source.id}:`, error);
+            }
+        });
+        row.appendChild(removeBtn);
+    }
+
+    return row;
+}
+
+/**
+ * Builds the theme sources panel: the configured sources and a form to add one
+ * @param {string} [message] Status to show under the form, e.g. after adding a source
+ */
+async function createSourceSettings(message = '') {
+    const container = document.getElementById('source-settings');
+    const { sources, status: sourceStatus } = await sendBackgroundMessage('sources-get');
+    container.textContent = '';
+
+    const status = createElement('div', { className: 'settings-status', textContent: message });
+    const refresh = async newMessage => {
+        await createSourceSettings(newMessage);
+        await loadThemes(false);
+    };
+
+    const sourceRows = createElement('div', { className: 'settings-fields' });
+    for (const source of sources) {
+        sourceRows.appendChild(createSourceRow(source, sourceStatus[source.id], refresh));
+    }
+    container.appendChild(sourceRows);
+
+    // Add a GitHub repository or an index URL
+    const nameInput = createElement('input', { type: 'text', className: 'rule-match', placeholder: 'Name, e.g. Team fork' });
+    const typeSelect = createElement('select', {}, [
+        createElement('option', { value: 'github', textContent: 'GitHub' }),
+        createElement('option', { value: 'index', textContent: 'Index URL' })
+    ]);
+    const repoInput = createElement('input', { type: 'text', className: 'rule-match', placeholder: 'owner/repository' });
+    const branchInput = createElement('input', { type: 'text', className: 'rule-match', placeholder: 'Branch', value: 'main' });
+    const pathInput = createElement('input', { type: 'text', className: 'rule-match', placeholder: 'Folder', value: 'themes' });
+    const urlInput = createElement('input', { type: 'text', className: 'rule-match', placeholder: 'https://example.com/themes/index.json' });
+
+    const githubFields = createElement('div', { className: 'settings-fields' }, [
+        createElement('div', { className: 'settings-row' }, [repoInput]),
+        createElement('div', { className: 'settings-row' }, [branchInput, pathInput])
+    ]);
+    const indexFields = createElement('div', { className: 'settings-fields' }, [
+        createElement('div', { className: 'settings-row' }, [urlInput])
+    ]);
+    const showFields = () => {
+        githubFields.hidden = typeSelect.value !== 'github';
+        indexFields.hidden = typeSelect.value !== 'index';
+    };
+    typeSelect.addEventListener('change', showFields);
+    showFields();
+
+    const addBtn = createElement('button', { className: 'settings-add', textContent: '+ Add source' });
+    addBtn.addEventListener('click', async () => {
+        const [owner, repo] = repoInput.value.trim().split('/');
+        const source = typeSelect.value === 'index'
+            ? { type: 'index', name: nameInput.value, url: urlInput.value.trim() }
+            : { type: 'github', name: nameInput.value, owner, repo, branch: branchInput.value, path: pathInput.value.trim() };
+
+        try {
+            // Index URLs can be on any server, so ask for access to just that one.
+            // This has to happen straight from the click, before any other await.
+            if (source.type === 'index' && /^https?:\/\//.test(source.url)) {
+                const granted = await browserAPI.permissions.request({ origins: getThemeSourceOrigins(source) });
+                if (!granted) {
+                    status.textContent = 'Better Portal needs permission to read that server';
+                    return;
+                }
+            }
+
+            status.textContent = 'Fetching themes...';
+            const result = await sendBackgroundMessage('source-add', { source });
+            if (!result.success) {
+                status.textContent = result.errors.join('\n');
+                return;
+            }
+            await refresh(`✅ Added ${result.source.name}`);
+        } catch (error) {
+            console.error('Error adding theme source:', error);
+            status.textContent = '❌ Could not add the source';
+        }
+    });
+
+    container.appendChild(createElement('div', { className: 'settings-row' }, [nameInput, typeSelect]));
+    container.appendChild(githubFields);
+    container.appendChild(indexFields);
+    container.appendChild(addBtn);
+    container.appendChild(status);
+}
+
+/**
+ * Writes a theme's coverage reports up as text that can be pasted into an upstream issue
+ * @param {string} themeId The theme ID
+ * @param {Object} reports The theme's reports keyed by page type
+ * @returns {string} The report
+ */
+function formatCoverageReport(themeId, reports) {
+    const themeConfig = THEMES_STATE && THEMES_STATE.themes[themeId];
+    const lines = [`Selector coverage for ${themeConfig ? `${themeConfig.name} v${themeConfig.version}` : themeId} (${themeId})`];
+
+    for (const report of Object.values(reports)) {
+        lines.push('', `${report.pageType} page - ${report.url} - checked ${report.checkedAt}`, describeCoverage(report));
+        lines.push(...report.unmatched.map(selector => `- no match: \`${selector}\``));
+        lines.push(...report.invalid.map(selector => `- can't check: \`${selector}\``));
+        if (report.unmatched.length < report.unmatchedCount) {
+            lines.push(`- ...and ${report.unmatchedCount - report.unmatched.length} more`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Builds the diagnostics panel: turn selector coverage checks on or off, and see
+ * (and copy) what they found for each theme
+ */
+async function createDiagnosticsSettings() {
+    const container = document.getElementById('diagnostics-settings');
+    const { enabled, reports } = await sendBackgroundMessage('diagnostics-get');
+    container.textContent = '';
+
+    const enabledInput = createElement('input', { type: 'checkbox' });
+    enabledInput.checked = enabled;
+    enabledInput.addEventListener('change', async () => {
+        try {
+            await sendBackgroundMessage('diagnostics-save', { enabled: enabledInput.checked });
+        } catch (error) {
+            console.error('Error saving diagnostics setting:', error);
+        }
+    });
+    container.appendChild(createElement('label', { className: 'settings-row' }, [enabledInput, ' Check which theme selectors match nothing']));
+
+    const themeIds = Object.keys(reports);
+    if (themeIds.length === 0) {
+        container.appendChild(createElement('div', {
+            className: 'settings-status',
+            textContent: enabled ? 'Open portal pages to check the active theme' : 'No reports yet'
+        }));
+        return;
+    }
+
+    for (const themeId of themeIds) {
+        const themeConfig = THEMES_STATE && THEMES_STATE.themes[themeId];
+        const copyBtn = createElement('button', { className: 'settings-save', textContent: 'Copy', title: 'Copy the report to paste into an issue' });
+        copyBtn.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(formatCoverageReport(themeId, reports[themeId]));
+                copyBtn.textContent = '✅ Copied';
+            } catch (error) {
+                console.error('Error copying coverage report:', error);
+                copyBtn.textContent = '❌ Failed';
+            }
+        });
+
+        container.appendChild(createElement('div', { className: 'settings-row' }, [
+            createElement('span', { className: 'storage-name', textContent: themeConfig ? themeConfig.name : themeId }),
+            copyBtn
+        ]));
+        for (const report of Object.values(reports[themeId])) {
+            container.appendChild(createElement('div', {
+                className: 'settings-status',
+                textContent: `${report.pageType}: ${describeCoverage(report)}`,
+                title: report.unmatched.join('\n')
+            }));
+        }
+    }
+
+    const clearBtn = createElement('button', { className: 'settings-save', textContent: 'Clear reports' });
+    clearBtn.addEventListener('click', async () => {
+        try {
+            await sendBackgroundMessage('coverage-clear');
+            await createDiagnosticsSettings();
+        } catch (error) {
+            console.error('Error clearing coverage reports:', error);
+        }
+    });
+    container.appendChild(clearBtn);
+}
+
+/**
+ * Builds the accessibility panel. Every change is saved straight away, so open portal
+ * tabs show it while the options page is still open.
+ */
+async function createAccessibilitySettings() {
+    const container = document.getElementById('accessibility-settings');
+    let settings = await sendBackgroundMessage('accessibility-get');
+    container.textContent = '';
+
+    const status = createElement('div', { className: 'settings-status' });
+    const save = async changes => {
+        try {
+            const result = await sendBackgroundMessage('accessibility-save', { settings: { ...settings, ...changes } });
+            if (!result.success) {
+                status.textContent = result.errors.join('\n');
+                return;
+            }
+            settings = { ...settings, ...changes };
+            status.textContent = '';
+        } catch (error) {
+            console.error('Error saving accessibility settings:', error);
+            status.textContent = '❌ Could not save';
+        }
+    };
+
+    const scaleSelect = createElement('select', { className: 'settings-theme' });
+    for (const scale of TEXT_SCALES) {
+        const option = createElement('option', { value: String(scale), textContent: `${scale}%` });
+        option.selected = scale === settings.textScale;
+        scaleSelect.appendChild(option);
+    }
+    scaleSelect.addEventListener('change', () => save({ textScale: Number(scaleSelect.value) }));
+    container.appendChild(createElement('label', { className: 'settings-row' }, ['Text size ', scaleSelect]));
+
+    for (const { key, label } of ACCESSIBILITY_MODIFIERS) {
+        const input = createElement('input', { type: 'checkbox' });
+        input.checked = settings[key];
+        input.addEventListener('change', () => save({ [key]: input.checked }));
+        container.appendChild(createElement('label', { className: 'settings-row' }, [input, ` ${label}`]));
+    }
+
+    container.appendChild(status);
+}
+
+/**
+ * Builds the on-page switcher panel: turn it on or off, and bring it back where it was closed
+ */
+async function createSwitcherSettings() {
+    const container = document.getElementById('switcher-settings');
+    const settings = await sendBackgroundMessage('switcher-get');
+    container.textContent = '';
+
+    const status = createElement('div', { className: 'settings-status' });
+    const save = async newSettings => {
+        try {
+            const result = await sendBackgroundMessage('switcher-save', { settings: newSettings });
+            if (!result.success) {
+                status.textContent = result.errors.join('\n');
+                return;
+            }
+            await createSwitcherSettings();
+        } catch (error) {
+            console.error('Error saving switcher settings:', error);
+            status.textContent = '❌ Could not save';
+        }
+    };
+
+    const enabledInput = createElement('input', { type: 'checkbox' });
+    enabledInput.checked = settings.enabled;
+    enabledInput.addEventListener('change', () => save({ ...settings, enabled: enabledInput.checked }));
+    container.appendChild(createElement('label', { className: 'settings-row' }, [enabledInput, ' Show a theme switcher on portal pages']));
+
+    // Page types where the switcher was closed with its ✕ button
+    const hiddenOn = Object.keys(settings.pages).filter(pageType => settings.pages[pageType].hidden);
+    if (settings.enabled && hiddenOn.length > 0) {
+        const showBtn = createElement('button', { className: 'settings-save', textContent: `Show again on ${hiddenOn.join(', ')} pages` });
+        showBtn.addEventListener('click', () => {
+            const pages = {};
+            for (const [pageType, page] of Object.entries(settings.pages)) {
+                pages[pageType] = { ...page, hidden: false };
+            }
+            save({ ...settings, pages });
+        });
+        container.appendChild(showBtn);
+    }
+
+    container.appendChild(status);
+}
+
+/**
+ * Setup the page once it's loaded
+ */
+document.addEventListener('DOMContentLoaded', async function() {
+    const refetchButton = document.getElementById('refetch');
+
+    setupGalleryTools();
+    onThemesStateChange(drawGallery);
+    watchThemesState();
+    followDownloadProgress();
+
+    document.getElementById('create-theme').addEventListener('click', () => openThemeEditor());
+    document.getElementById('share-themes').addEventListener('click', event => {
+        event.preventDefault();
+        openThemeEditor(null, 'share');
+    });
+    document.getElementById('personal-css').addEventListener('click', event => {
+        event.preventDefault();
+        openThemeEditor(null, 'overrides');
+    });
+
+    try {
+        // Draw the packaged and cached themes straight away
+        const themesState = await loadThemes(false);
+
+        await createScheduleSettings(themesState);
+        await createRuleSettings(themesState);
+        await createStorageSettings();
+        await createSourceSettings();
+        await createSwitcherSettings();
+        await createAccessibilitySettings();
+        await createDiagnosticsSettings();
+    } catch (error) {
+        console.error('Error loading theme state:', error);
+    }
+
+    // The popup links straight to a section (e.g. options.html#storage-section)
+    if (location.hash) {
+        const section = document.getElementById(location.hash.slice(1));
+        if (section) section.scrollIntoView();
+    }
+
+    // Then check the theme sources (metadata only) in the background and redraw;
+    // sources checked recently are skipped, so this is usually instant
+    loadThemes(true).catch(error => {
+        console.error('Error refreshing the theme list:', error);
+    });
+
+    // Setup the refetch button to only update the theme list metadata
+    refetchButton.addEventListener('click', async function() {
+        this.disabled = true;
+        this.textContent = '⏳ Updating...';
+
+        try {
+            await loadThemes(true, true);
+
+            this.textContent = '✅ Updated!';
+            setTimeout(() => {
+                this.textContent = '🔄 Refetch Styles';
+                this.disabled = false;
+            }, 1500);
+        } catch (error) {
+            console.error('Error updating themes list:', error);
+            this.textContent = '❌ Update failed';
+            setTimeout(() => {
+                this.textContent = '🔄 Refetch Styles';
+                this.disabled = false;
+            }, 1500);
+        }
+    });
+});
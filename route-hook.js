@@ -0,0 +1,14 @@
+// Runs in the page's own world so it can see the portal's router calls.
+// Content scripts live in an isolated world and would never see these.
+(function() {
+    const EVENT_NAME = 'better-portal:locationchange';
+
+    for (const method of ['pushState', 'replaceState']) {
+        const original = history[method];
+        history[method] = function() {
+            const result = original.apply(this, arguments);
+            window.dispatchEvent(new Event(EVENT_NAME));
+            return result;
+        };
+    }
+})();
@@ -0,0 +1,97 @@
+// Modifiers layered over any theme (the default one included), all off until the user turns them on
+const DEFAULT_ACCESSIBILITY_SETTINGS = {
+    textScale: 100,
+    readableSpacing: false,
+    dyslexiaFont: false,
+    focusOutlines: false,
+    reducedMotion: false,
+    highContrast: false
+};
+
+// Text sizes offered in the popup, in percent
+const TEXT_SCALES = [100, 110, 125, 150, 175];
+
+// The on/off modifiers, in the order the popup lists them, with the CSS each adds
+const ACCESSIBILITY_MODIFIERS = [
+    {
+        key: 'readableSpacing',
+        label: 'Roomier line and letter spacing',
+        css: `body, body * {
+    line-height: 1.6 !important;
+    letter-spacing: 0.03em !important;
+    word-spacing: 0.08em !important;
+}`
+    },
+    {
+        key: 'dyslexiaFont',
+        label: 'Dyslexia-friendly font',
+        // OpenDyslexic if it's installed, otherwise the most readable font we can expect to find
+        css: `body, body *:not(code):not(pre):not(kbd):not([class*="icon"]):not([class*="fa-"]) {
+    font-family: 'OpenDyslexic', 'Atkinson Hyperlegible', 'Lexend', 'Comic Sans MS', 'Verdana', sans-serif !important;
+}`
+    },
+    {
+        key: 'focusOutlines',
+        label: 'Strong focus outlines',
+        css: `:focus-visible {
+    outline: 3px solid #FFB000 !important;
+    outline-offset: 2px !important;
+    box-shadow: 0 0 0 5px #000000 !important;
+}`
+    },
+    {
+        key: 'reducedMotion',
+        label: 'Reduce motion',
+        css: `*, *::before, *::after {
+    animation-duration: 0.01ms !important;
+    animation-iteration-count: 1 !important;
+    transition-duration: 0.01ms !important;
+    scroll-behavior: auto !important;
+}`
+    },
+    {
+        key: 'highContrast',
+        label: 'Boost contrast',
+        // A filter on the root element doesn't break position: fixed the way it would anywhere else
+        css: `html {
+    filter: contrast(1.3) !important;
+}`
+    }
+];
+
+/**
+ * Checks accessibility settings before we store them
+ * @param {Object} settings {textScale, readableSpacing, dyslexiaFont, focusOutlines, reducedMotion, highContrast}
+ * @returns {string[]} Problems found, empty if the settings are usable
+ */
+function validateAccessibilitySettings(settings) {
+    if (!settings || typeof settings !== 'object') {
+        return ['Accessibility settings are malformed'];
+    }
+
+    const errors = [];
+    if (!TEXT_SCALES.includes(settings.textScale)) {
+        errors.push(`Pick a text size of ${TEXT_SCALES.join(', ')}%`);
+    }
+    for (const { key, label } of ACCESSIBILITY_MODIFIERS) {
+        if (typeof settings[key] !== 'boolean') {
+            errors.push(`"${label}" must be on or off`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Builds the CSS for the modifiers that are on
+ * @param {Object} settings The accessibility settings
+ * @returns {string} The CSS, empty if every modifier is off
+ */
+function buildAccessibilityCss(settings) {
+    const rules = ACCESSIBILITY_MODIFIERS.filter(({ key }) => settings[key]).map(({ css }) => css);
+
+    // zoom scales px-sized text too, which most of the portal uses
+    if (settings.textScale !== 100) {
+        rules.unshift(`body {\n    zoom: ${settings.textScale / 100} !important;\n}`);
+    }
+    return rules.join('\n\n');
+}
@@ -0,0 +1,127 @@
+// url() targets a theme may keep: inline images and fonts, and same-document
+// fragment references. Anything else would make the portal page fetch it.
+const SAFE_URL_PATTERN = /^(#|data:(image\/(png|jpeg|gif|webp|avif)|font\/[a-z0-9.+-]+|application\/font-[a-z0-9.+-]+)[;,])/i;
+
+// Elements and portal classes that make up forms and grading UI
+const FORM_CONTROL_SELECTOR_PATTERN = /(^|[\s>+~,(])(input|button|select|textarea|label|form|option)\b|\[type\s*=|\.btn\b|\.gcb-|\.correct\b|\.incorrect\b/i;
+
+// Declarations that make an element disappear or stop responding
+const HIDING_DECLARATION_PATTERN = /(^|;)\s*(display\s*:\s*none|visibility\s*:\s*(hidden|collapse)|opacity\s*:\s*(0+(\.0*)?|\.0+)\s*(!important)?\s*(;|$)|pointer-events\s*:\s*none)/i;
+
+/**
+ * Pulls comments and strings out of a stylesheet so the rest can be checked with
+ * simple patterns without being fooled by what's inside quotes
+ * @param {string} css The stylesheet
+ * @returns {{code: string, strings: string[]}} The CSS with each string replaced by a placeholder
+ */
+function tokenizeCss(css) {
+    const strings = [];
+    let code = '';
+
+    for (let i = 0; i < css.length; i++) {
+        const char = css[i];
+
+        if (char === '/' && css[i + 1] === '*') {
+            const end = css.indexOf('*/', i + 2);
+            i = end === -1 ? css.length : end + 1;
+            continue;
+        }
+
+        if (char === '"' || char === '\'') {
+            let end = i + 1;
+            while (end < css.length && css[end] !== char && css[end] !== '\n') {
+                end += css[end] === '\\' ? 2 : 1;
+            }
+            strings.push(css.slice(i, end + 1));
+            code += `__bp_string_${strings.length - 1}__`;
+            i = end;
+            continue;
+        }
+
+        code += char;
+    }
+
+    return { code, strings };
+}
+
+/**
+ * Puts the strings pulled out by tokenizeCss() back in place
+ * @param {string} code CSS with string placeholders
+ * @param {string[]} strings The strings pulled out by tokenizeCss()
+ * @returns {string} The CSS with its strings
+ */
+function restoreCssStrings(code, strings) {
+    return code.replace(/__bp_string_(\d+)__/g, (match, index) => strings[index]);
+}
+
+/**
+ * Reads the value of a url() or image-set() argument, unquoting it if it was a string
+ * @param {string} argument The raw argument, possibly a string placeholder
+ * @param {string[]} strings The strings pulled out by tokenizeCss()
+ * @returns {string} The target
+ */
+function resolveCssArgument(argument, strings) {
+    const placeholder = /^__bp_string_(\d+)__$/.exec(argument.trim());
+    return placeholder ? strings[placeholder[1]].slice(1, -1) : argument.trim();
+}
+
+/**
+ * Makes a downloaded stylesheet safe to inject into the portal:
+ * - removes every @import, and every url()/image-set() that isn't inline data,
+ *   so the CSS can't make the page contact other servers
+ * - flags rules that hide or disable form controls and grading UI
+ * - rejects CSS escapes outside strings, which could sneak either of those past us
+ * @param {string} css The downloaded stylesheet
+ * @returns {{css: (string|null), blocked: string[], flagged: string[], rejected: string[]}}
+ *     The cleaned CSS (null if rejected) and what was found
+ */
+function sanitizeThemeCss(css) {
+    const blocked = [];
+    const flagged = [];
+    let { code, strings } = tokenizeCss(css);
+
+    if (code.includes('\\')) {
+        return { css: null, blocked, flagged, rejected: ['uses CSS escapes outside strings'] };
+    }
+
+    // Not \b: a string placeholder starts with a word character, and @import"x.css" is valid CSS
+    code = code.replace(/@import(?=__bp_string_|[^\w-]|$)[^;{}]*;?/gi, rule => {
+        blocked.push(restoreCssStrings(rule.trim(), strings));
+        return '';
+    });
+
+    code = code.replace(/\burl\(([^)]*)\)/gi, (match, argument) => {
+        const target = resolveCssArgument(argument, strings);
+        if (SAFE_URL_PATTERN.test(target)) return match;
+        blocked.push(`url(${target})`);
+        return 'none';
+    });
+
+    code = code.replace(/(-webkit-)?image-set\(([^()]*)\)/gi, (match, prefix, argument) => {
+        const targets = (argument.match(/__bp_string_\d+__/g) || []).map(token => resolveCssArgument(token, strings));
+        const unsafe = targets.filter(target => !SAFE_URL_PATTERN.test(target));
+        if (unsafe.length === 0) return match;
+        unsafe.forEach(target => blocked.push(`image-set(${target})`));
+        return 'none';
+    });
+
+    // Innermost blocks only, so rules nested in @media are checked too
+    for (const [, selector, declarations] of code.matchAll(/([^{}]+)\{([^{}]*)\}/g)) {
+        if (FORM_CONTROL_SELECTOR_PATTERN.test(selector) && HIDING_DECLARATION_PATTERN.test(declarations)) {
+            flagged.push(`hides form controls: ${selector.trim().replace(/\s+/g, ' ')}`);
+        }
+    }
+
+    return { css: restoreCssStrings(code, strings), blocked, flagged, rejected: [] };
+}
+
+/**
+ * Computes a Subresource Integrity style hash of some text
+ * @param {string} text The text to hash
+ * @returns {Promise<string>} e.g. 'sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU='
+ */
+async function hashCss(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    const bytes = Array.from(new Uint8Array(digest), byte => String.fromCharCode(byte)).join('');
+    return `sha256-${btoa(bytes)}`;
+}
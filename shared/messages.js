@@ -0,0 +1,13 @@
+/**
+ * Sends a request to the background script's message API
+ * @param {string} type A message type handled in background.js (see MESSAGE_HANDLERS)
+ * @param {Object} payload Extra fields for the request (e.g. themeId)
+ * @returns {Promise<Object>} The background script's reply
+ */
+async function sendBackgroundMessage(type, payload = {}) {
+    const response = await browserAPI.runtime.sendMessage({ type, ...payload });
+    if (response && response.error) {
+        throw new Error(response.error);
+    }
+    return response;
+}
@@ -0,0 +1,121 @@
+// Every page type we recognize. A specific page type falls back to a more generic one
+// when a theme has no styles for it; the generic ones (no fallback) each have a base
+// stylesheet in base/ and fall back to nothing.
+const PAGE_TYPES = {
+    home: { label: 'Home', fallback: null },
+    assignments: { label: 'Assignments', fallback: null },
+    extras: { label: 'Extras', fallback: null },
+    'course-week': { label: 'Course week', fallback: 'assignments' },
+    exam: { label: 'Exam and quiz', fallback: 'assignments' },
+    grades: { label: 'Grades', fallback: 'extras' }
+};
+
+// Where the portal lives, as match patterns like those in manifest.json
+const SEEK_COURSE_PAGES = ['https://seek.onlinedegree.iitm.ac.in/courses/*'];
+const DASHBOARD_PAGES = [
+    'https://ds.study.iitm.ac.in/student_dashboard/*',
+    'https://app.onlinedegree.iitm.ac.in/student_dashboard/*'
+];
+
+// Which page type a URL is, checked in order - the first rule whose match pattern
+// covers the URL and whose "url" test (if any) passes wins, so specific rules go first.
+// The content script only runs where manifest.json says, so every pattern used here
+// has to be in its "content_scripts" matches and "host_permissions" too
+// (test/page-types.test.js fails otherwise).
+const PAGE_TYPE_RULES = [
+    { pageType: 'exam', matches: SEEK_COURSE_PAGES, url: /[?&]type=(quiz|exam)(&|#|$)/ },
+    { pageType: 'assignments', matches: SEEK_COURSE_PAGES, url: /[?&]type=assignment(&|#|$)/ },
+    { pageType: 'course-week', matches: SEEK_COURSE_PAGES, url: /[?&]unitId=/ },
+    { pageType: 'assignments', matches: SEEK_COURSE_PAGES },
+    { pageType: 'grades', matches: DASHBOARD_PAGES, url: /\/student_dashboard\/(student_grades|grade_card)/ },
+    {
+        pageType: 'extras',
+        matches: DASHBOARD_PAGES,
+        url: /\/student_dashboard\/(student_documents|exam_cities_and_hall_ticket|student_certificates)/
+    },
+    { pageType: 'home', matches: DASHBOARD_PAGES }
+];
+
+/**
+ * Checks whether a URL is covered by a match pattern like 'https://host/path/*'
+ * @param {string} pattern The match pattern ('*' matches anything)
+ * @param {string} url The URL, which is matched without its #fragment like the browser does
+ * @returns {boolean} Whether the pattern covers the URL
+ */
+function urlMatchesPattern(pattern, url) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(url.split('#')[0]);
+}
+
+/**
+ * Determines what type of page a portal URL points to
+ * This helps us load the right theme file
+ * @param {string} url The full URL of the page
+ * @returns {string|null} A PAGE_TYPES key, or null if we don't recognize it
+ */
+function getPageTypeForUrl(url) {
+    if (!url) return null;
+
+    const rule = PAGE_TYPE_RULES.find(rule =>
+        rule.matches.some(pattern => urlMatchesPattern(pattern, url)) && (!rule.url || rule.url.test(url))
+    );
+    return rule ? rule.pageType : null;
+}
+
+/**
+ * Checks whether a name is one of our page types, and not something every object
+ * has (like "constructor") or a key of ours like "palette"
+ * @param {string} pageType The name to check, e.g. a key from a theme's "files"
+ * @returns {boolean} Whether it is a PAGE_TYPES key
+ */
+function isPageType(pageType) {
+    return Object.prototype.hasOwnProperty.call(PAGE_TYPES, pageType);
+}
+
+/**
+ * Lists a page type and the ones it falls back to, most specific first
+ * @param {string|null} pageType The page type
+ * @returns {string[]} e.g. ['course-week', 'assignments'], empty for an unknown page type
+ */
+function getPageTypeChain(pageType) {
+    const chain = [];
+    while (isPageType(pageType) && !chain.includes(pageType)) {
+        chain.push(pageType);
+        pageType = PAGE_TYPES[pageType].fallback;
+    }
+    return chain;
+}
+
+/**
+ * Picks which page type's styles to use on a page: its own if there are any,
+ * otherwise the nearest one it falls back to
+ * @param {string|null} pageType The page's type
+ * @param {function(string): boolean} hasStyles Whether there are styles for a page type
+ * @returns {string|null} The page type to take the styles from, or null for none
+ */
+function resolveStyledPageType(pageType, hasStyles) {
+    return getPageTypeChain(pageType).find(hasStyles) || null;
+}
+
+/**
+ * Tells whether a page type has a base stylesheet for palette themes to build on
+ * @param {string} pageType The page type
+ * @returns {boolean} True for the generic page types
+ */
+function hasBaseStylesheet(pageType) {
+    return isPageType(pageType) && PAGE_TYPES[pageType].fallback === null;
+}
+
+/**
+ * Compares match patterns from manifest.json with those the page type rules use
+ * @param {string[]} matches The manifest's match patterns
+ * @returns {{missing: string[], unused: string[]}} Rule patterns the manifest lacks,
+ *     and manifest patterns no rule uses
+ */
+function diffPortalMatches(matches) {
+    const rulePatterns = new Set(PAGE_TYPE_RULES.flatMap(rule => rule.matches));
+    return {
+        missing: Array.from(rulePatterns).filter(pattern => !matches.includes(pattern)),
+        unused: matches.filter(pattern => !rulePatterns.has(pattern))
+    };
+}
@@ -0,0 +1,69 @@
+// Tokens a palette theme provides. The base stylesheets in base/ read them as
+// CSS custom properties (e.g. accentHover -> --bp-accent-hover). Optional tokens
+// fall back to another token, and aren't shown in the theme editor.
+const PALETTE_FIELDS = [
+    { key: 'background', label: 'Background', fallback: '#000000' },
+    { key: 'surface', label: 'Surface', fallback: '#242424' },
+    { key: 'text', label: 'Text', fallback: '#ffffff' },
+    { key: 'accent', label: 'Accent', fallback: '#1e90ff' },
+    { key: 'border', label: 'Border', fallback: '#555555' },
+    { key: 'input', label: 'Input', fallback: '#2b2b2b' },
+    { key: 'accentHover', label: 'Link hover', optional: true, defaultsTo: 'text' },
+    { key: 'highlight', label: 'Highlight', optional: true, defaultsTo: 'accent' }
+];
+
+// Prefix for the IDs of themes made in the editor, so they never clash with downloaded ones
+const CUSTOM_THEME_PREFIX = 'custom-';
+
+const PALETTE_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Checks that a palette has a hex color for every required token
+ * @param {Object} palette Colors keyed by PALETTE_FIELDS key
+ * @returns {string[]} Problems found, empty if the palette is usable
+ */
+function validatePalette(palette) {
+    if (!palette || typeof palette !== 'object') {
+        return ['palette must be an object of colors'];
+    }
+
+    return PALETTE_FIELDS
+        .filter(({ key, optional }) => !(optional && palette[key] === undefined))
+        .filter(({ key }) => !PALETTE_COLOR_PATTERN.test(palette[key] || ''))
+        .map(({ label }) => `${label} must be a hex color like #1e1e2e`);
+}
+
+/**
+ * Turns a theme name into a custom theme ID
+ * @param {string} name The name the user typed
+ * @returns {string} e.g. 'custom-late-night'
+ */
+function slugifyThemeName(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${CUSTOM_THEME_PREFIX}${slug || 'theme'}`;
+}
+
+/**
+ * Turns a palette into the custom properties the base stylesheets use
+ * @param {Object} palette Colors keyed by PALETTE_FIELDS key
+ * @returns {string} A :root rule declaring every --bp-* token
+ */
+function buildPaletteCss(palette) {
+    const declarations = PALETTE_FIELDS.map(({ key, defaultsTo }) => {
+        const name = key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+        const value = palette[key] || palette[defaultsTo];
+        return `    --bp-${name}: ${value};`;
+    });
+
+    return `:root {\n${declarations.join('\n')}\n}\n`;
+}
+
+/**
+ * Builds the full stylesheet for one page type of a palette theme
+ * @param {Object} palette Colors keyed by PALETTE_FIELDS key
+ * @param {string} baseCss The base stylesheet for the page type
+ * @returns {string} CSS ready to inject
+ */
+function composeThemeCss(palette, baseCss) {
+    return `${buildPaletteCss(palette)}\n${baseCss}`;
+}
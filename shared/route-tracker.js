@@ -0,0 +1,62 @@
+/**
+ * Keeps track of where a single-page portal currently is and tells us
+ * when a client-side navigation has landed on a different page type.
+ * It has no DOM dependencies, so it can be fed recorded URL sequences.
+ * @param {function(string): (string|null)} classify Maps a URL to a page type
+ * @param {string} [initialUrl] The URL the page was loaded with
+ * @returns {Object} Tracker with update() and the current url/pageType
+ */
+function createRouteTracker(classify, initialUrl) {
+    let currentUrl = initialUrl || null;
+    let currentPageType = currentUrl ? classify(currentUrl) : null;
+
+    return {
+        get url() {
+            return currentUrl;
+        },
+
+        get pageType() {
+            return currentPageType;
+        },
+
+        /**
+         * Records a URL seen after a navigation signal
+         * @param {string} url The URL the page is now on
+         * @returns {{urlChanged: boolean, pageTypeChanged: boolean, pageType: (string|null)}}
+         */
+        update(url) {
+            if (url === currentUrl) {
+                return { urlChanged: false, pageTypeChanged: false, pageType: currentPageType };
+            }
+
+            const pageType = classify(url);
+            const pageTypeChanged = pageType !== currentPageType;
+
+            currentUrl = url;
+            currentPageType = pageType;
+
+            return { urlChanged: true, pageTypeChanged, pageType };
+        }
+    };
+}
+
+/**
+ * Replays a recorded sequence of URLs through a fresh tracker
+ * @param {function(string): (string|null)} classify Maps a URL to a page type
+ * @param {string[]} urls Recorded URLs, the first being the initial page load
+ * @returns {Array<{url: string, pageType: (string|null)}>} Every point where the theme would be swapped
+ */
+function replayRoute(classify, urls) {
+    const [initialUrl, ...navigations] = urls;
+    const tracker = createRouteTracker(classify, initialUrl);
+    const swaps = [];
+
+    for (const url of navigations) {
+        const { pageTypeChanged, pageType } = tracker.update(url);
+        if (pageTypeChanged) {
+            swaps.push({ url, pageType });
+        }
+    }
+
+    return swaps;
+}
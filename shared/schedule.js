@@ -0,0 +1,135 @@
+// How the active theme is picked: by hand, from the OS color scheme, or by time of day
+const SCHEDULE_MODES = ['manual', 'system', 'schedule'];
+
+// Settings used until the user saves their own
+const DEFAULT_SCHEDULE_SETTINGS = {
+    mode: 'manual',
+    system: { light: 'default', dark: 'dark' },
+    schedule: [
+        { start: '07:00', theme: 'default' },
+        { start: '19:00', theme: 'dark' }
+    ]
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Converts an 'HH:MM' time into minutes since midnight
+ * @param {string} time e.g. '19:00'
+ * @returns {number} Minutes since midnight
+ */
+function timeToMinutes(time) {
+    const [, hours, minutes] = TIME_PATTERN.exec(time);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Checks schedule settings before we store them
+ * @param {Object} settings {mode, system: {light, dark}, schedule: [{start, theme}]}
+ * @returns {string[]} Problems found, empty if the settings are usable
+ */
+function validateScheduleSettings(settings) {
+    if (!settings || !SCHEDULE_MODES.includes(settings.mode)) {
+        return ['Pick how themes should be switched'];
+    }
+
+    const errors = [];
+
+    if (settings.mode === 'system') {
+        const { light, dark } = settings.system || {};
+        if (typeof light !== 'string' || !light || typeof dark !== 'string' || !dark) {
+            errors.push('Pick a theme for both light and dark mode');
+        }
+    }
+
+    if (settings.mode === 'schedule') {
+        if (!Array.isArray(settings.schedule)) {
+            return ['The schedule is malformed'];
+        }
+        if (settings.schedule.length === 0) {
+            errors.push('Add at least one time to the schedule');
+        }
+
+        const seen = new Set();
+        for (const entry of settings.schedule) {
+            if (!entry || typeof entry !== 'object') {
+                errors.push('Every schedule entry needs a time and a theme');
+                continue;
+            }
+
+            if (typeof entry.start !== 'string' || !TIME_PATTERN.test(entry.start)) {
+                errors.push(`"${entry.start}" is not a time like 19:00`);
+            } else if (seen.has(entry.start)) {
+                errors.push(`${entry.start} is in the schedule twice`);
+            } else {
+                seen.add(entry.start);
+            }
+
+            if (typeof entry.theme !== 'string' || !entry.theme) {
+                errors.push(`Pick a theme for ${entry.start}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Sorts schedule entries by start time
+ * @param {Array<{start: string, theme: string}>} entries Schedule entries
+ * @returns {Array<{start: string, theme: string}>} A sorted copy
+ */
+function sortSchedule(entries) {
+    return [...entries].sort((a, b) => timeToMinutes(a.start) - timeToMinutes(b.start));
+}
+
+/**
+ * Works out which theme the settings call for right now
+ * @param {Object} settings The schedule settings
+ * @param {Date} now The current time
+ * @param {boolean} prefersDark Whether the OS asks for a dark color scheme
+ * @returns {string|null} Theme ID, or null when themes are picked by hand
+ */
+function resolveScheduledTheme(settings, now, prefersDark) {
+    if (settings.mode === 'system') {
+        return prefersDark ? settings.system.dark : settings.system.light;
+    }
+
+    if (settings.mode === 'schedule' && settings.schedule.length > 0) {
+        const entries = sortSchedule(settings.schedule);
+        const minutes = now.getHours() * 60 + now.getMinutes();
+
+        // The latest entry that has started today, or else the last one from yesterday
+        const current = entries.filter(entry => timeToMinutes(entry.start) <= minutes).pop();
+        return (current || entries[entries.length - 1]).theme;
+    }
+
+    return null;
+}
+
+/**
+ * Finds when the schedule next switches theme
+ * @param {Object} settings The schedule settings
+ * @param {Date} now The current time
+ * @returns {Date|null} The next boundary, or null when not on a schedule
+ */
+function getNextScheduleBoundary(settings, now) {
+    if (settings.mode !== 'schedule' || settings.schedule.length === 0) {
+        return null;
+    }
+
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const entries = sortSchedule(settings.schedule);
+    const next = entries.find(entry => timeToMinutes(entry.start) > minutes);
+
+    const boundary = new Date(now);
+    boundary.setSeconds(0, 0);
+    if (next) {
+        boundary.setHours(0, timeToMinutes(next.start));
+    } else {
+        // Wrap around to tomorrow's first entry
+        boundary.setDate(boundary.getDate() + 1);
+        boundary.setHours(0, timeToMinutes(entries[0].start));
+    }
+    return boundary;
+}
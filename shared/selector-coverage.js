@@ -0,0 +1,96 @@
+// Pseudo-classes that depend on what the user is doing, and pseudo-elements, which
+// querySelectorAll() can't match. They're dropped before we look for the element.
+const DYNAMIC_PSEUDO_PATTERN = /::?(before|after|placeholder|selection|marker|first-line|first-letter|backdrop|file-selector-button|-webkit-[a-z-]+|-moz-[a-z-]+)(?![\w-])(\([^)]*\))?|:(hover|active|focus-visible|focus-within|focus|visited|target)(?![\w-])/gi;
+
+// Keep at most this many unmatched selectors per report, so a broken theme can't fill storage
+const MAX_REPORTED_SELECTORS = 200;
+
+/**
+ * Splits a selector list on its top-level commas (not those inside :is(), :not() etc.)
+ * @param {string} selectorList e.g. 'a, b:not(.c, .d)'
+ * @returns {string[]} The selectors, trimmed
+ */
+function splitSelectorList(selectorList) {
+    const selectors = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of selectorList) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === ',' && depth === 0) {
+            selectors.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    selectors.push(current.trim());
+    return selectors.filter(Boolean);
+}
+
+/**
+ * Lists every style rule selector in a stylesheet, including those nested in @media
+ * and @supports. Keyframe steps and @font-face/@page blocks aren't selectors and are skipped.
+ * @param {string} css The stylesheet
+ * @returns {string[]} Unique selectors, in the order they first appear
+ */
+function extractSelectors(css) {
+    // Comments and strings could hold braces that aren't structure
+    const code = css
+        .replace(/\/\*[\s\S]*?\*\//g, '')
+        .replace(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g, '""');
+
+    const selectors = new Set();
+    let blockStart = 0;
+    const stack = [];
+
+    for (let i = 0; i < code.length; i++) {
+        if (code[i] === '{') {
+            const prelude = code.slice(blockStart, i).trim();
+            const parentSkipped = stack.length > 0 && stack[stack.length - 1].skip;
+            const skip = parentSkipped || /^@(-[a-z]+-)?(keyframes|font-face|page|counter-style|property)\b/i.test(prelude);
+            stack.push({ prelude, skip, hasChildren: false });
+            if (stack.length > 1) stack[stack.length - 2].hasChildren = true;
+            blockStart = i + 1;
+        } else if (code[i] === '}') {
+            const block = stack.pop();
+            if (block && !block.skip && !block.hasChildren && !block.prelude.startsWith('@')) {
+                splitSelectorList(block.prelude).forEach(selector => selectors.add(selector));
+            }
+            blockStart = i + 1;
+        } else if (code[i] === ';') {
+            // Ends a statement at-rule such as @import, or a declaration before a nested rule
+            blockStart = i + 1;
+        }
+    }
+
+    return Array.from(selectors);
+}
+
+/**
+ * Turns a selector into one querySelectorAll() can match against the page as it is now
+ * @param {string} selector A selector from a theme
+ * @returns {string} The selector without pseudo-elements and interaction states
+ */
+function toMatchableSelector(selector) {
+    const matchable = selector.replace(DYNAMIC_PSEUDO_PATTERN, '').trim();
+    // e.g. '::placeholder' on its own, or 'a > :hover'
+    return !matchable || /[>+~]$/.test(matchable) ? '*' : matchable;
+}
+
+/**
+ * Sums up a coverage report for the popup
+ * @param {Object} report {total, unmatchedCount, unmatched, invalid} from content.js
+ * @returns {string} e.g. '12 of 140 selectors match nothing'
+ */
+function describeCoverage(report) {
+    if (report.unmatchedCount === 0 && report.invalid.length === 0) {
+        return `All ${report.total} selectors match`;
+    }
+    const parts = [`${report.unmatchedCount} of ${report.total} selectors match nothing`];
+    if (report.invalid.length > 0) {
+        parts.push(`${report.invalid.length} can't be checked`);
+    }
+    return parts.join(', ');
+}
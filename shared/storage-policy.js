@@ -0,0 +1,77 @@
+// Policy used until the user saves their own: keep up to 5 downloaded themes, however old
+const DEFAULT_RETENTION_POLICY = {
+    maxThemes: 5,
+    unusedDays: 0
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks a retention policy before we store it
+ * @param {Object} policy {maxThemes, unusedDays} - 0 switches either limit off
+ * @returns {string[]} Problems found, empty if the policy is usable
+ */
+function validateRetentionPolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        return ['Retention policy is malformed'];
+    }
+
+    const errors = [];
+    if (!Number.isInteger(policy.maxThemes) || policy.maxThemes < 0) {
+        errors.push('The number of themes to keep must be a whole number (0 for no limit)');
+    }
+    if (!Number.isInteger(policy.unusedDays) || policy.unusedDays < 0) {
+        errors.push('The number of days must be a whole number (0 to never remove)');
+    }
+    return errors;
+}
+
+/**
+ * Picks the downloaded themes a retention policy says to remove. Protected themes
+ * (active, pinned, used by the schedule or page rules) are never picked, but count
+ * towards maxThemes. Themes are ranked by when they were last applied to a page,
+ * falling back to when they were downloaded.
+ * @param {Array<{themeId: string, lastApplied: (string|null), downloadedAt: (string|null)}>} themes Downloaded themes
+ * @param {Object} policy The retention policy
+ * @param {Set<string>} protectedIds Theme IDs that must be kept
+ * @param {Date} now The current time
+ * @returns {string[]} Theme IDs to remove
+ */
+function selectThemesToRemove(themes, policy, protectedIds, now) {
+    const lastUsed = theme => new Date(theme.lastApplied || theme.downloadedAt || 0).getTime();
+
+    // Least recently used first
+    const removable = themes
+        .filter(theme => !protectedIds.has(theme.themeId))
+        .sort((a, b) => lastUsed(a) - lastUsed(b));
+    const toRemove = new Set();
+
+    if (policy.unusedDays > 0) {
+        const cutoff = now.getTime() - policy.unusedDays * DAY_MS;
+        removable.filter(theme => lastUsed(theme) < cutoff).forEach(theme => toRemove.add(theme.themeId));
+    }
+
+    if (policy.maxThemes > 0) {
+        let excess = themes.length - toRemove.size - policy.maxThemes;
+        for (const theme of removable) {
+            if (excess <= 0) break;
+            if (!toRemove.has(theme.themeId)) {
+                toRemove.add(theme.themeId);
+                excess--;
+            }
+        }
+    }
+
+    return Array.from(toRemove);
+}
+
+/**
+ * Formats a byte count for people
+ * @param {number} bytes The size
+ * @returns {string} e.g. '12.3 KB'
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
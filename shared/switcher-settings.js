@@ -0,0 +1,44 @@
+// The on-page switcher is off until the user turns it on in the popup. Each page
+// type remembers where the switcher was dragged to and whether it was closed there.
+const DEFAULT_SWITCHER_SETTINGS = {
+    enabled: false,
+    pages: {}
+};
+
+// Where the switcher sits on a page type it hasn't been dragged on yet, in px from the top left
+const DEFAULT_SWITCHER_POSITION = { left: 16, top: 96 };
+
+/**
+ * Checks switcher settings before we store them
+ * @param {Object} settings {enabled, pages: {pageType: {hidden, left, top}}}
+ * @returns {string[]} Problems found, empty if the settings are usable
+ */
+function validateSwitcherSettings(settings) {
+    if (!settings || typeof settings.enabled !== 'boolean' || !settings.pages || typeof settings.pages !== 'object') {
+        return ['Switcher settings are malformed'];
+    }
+
+    const errors = [];
+    for (const [pageType, page] of Object.entries(settings.pages)) {
+        if (!page || typeof page.hidden !== 'boolean') {
+            errors.push(`Switcher settings for ${pageType} pages are malformed`);
+        } else if (!Number.isFinite(page.left) || !Number.isFinite(page.top)) {
+            errors.push(`Switcher position on ${pageType} pages is malformed`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Keeps the switcher inside the window, e.g. after the window was made smaller
+ * @param {{left: number, top: number}} position The saved position
+ * @param {{width: number, height: number}} size The switcher's size
+ * @param {{width: number, height: number}} viewport The window's size
+ * @returns {{left: number, top: number}} A position where the whole switcher is visible
+ */
+function clampSwitcherPosition(position, size, viewport) {
+    return {
+        left: Math.round(Math.max(0, Math.min(position.left, viewport.width - size.width))),
+        top: Math.round(Math.max(0, Math.min(position.top, viewport.height - size.height)))
+    };
+}
@@ -0,0 +1,84 @@
+// Identifies a file as a Better Portal theme bundle
+const BUNDLE_FORMAT = 'better-portal-theme';
+const BUNDLE_FORMAT_VERSION = 1;
+
+/**
+ * Packs a theme into a single portable object
+ * @param {string} themeId The theme ID
+ * @param {Object} themeConfig The theme's config (name, author, description, version, preview)
+ * @param {Object|null} palette The theme's palette, if it is a palette theme
+ * @param {Object} css CSS text keyed by page type
+ * @returns {Object} The bundle, ready for JSON.stringify
+ */
+function createThemeBundle(themeId, themeConfig, palette, css) {
+    return {
+        format: BUNDLE_FORMAT,
+        formatVersion: BUNDLE_FORMAT_VERSION,
+        id: themeId,
+        manifest: {
+            name: themeConfig.name,
+            author: themeConfig.author || '',
+            description: themeConfig.description || '',
+            version: themeConfig.version || '1.0.0',
+            preview: themeConfig.preview || {}
+        },
+        palette: palette || null,
+        css: { ...css },
+        exported: new Date().toISOString()
+    };
+}
+
+/**
+ * Checks that an object read from a file or URL is a usable theme bundle
+ * (needs shared/page-types.js, shared/palette.js and shared/theme-manifest.js loaded first)
+ * @param {Object} bundle The parsed bundle
+ * @returns {string[]} Problems found, empty if the bundle can be imported
+ */
+function validateThemeBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+        return ['File is not a theme bundle'];
+    }
+
+    if (bundle.format !== BUNDLE_FORMAT) {
+        return ['File is not a Better Portal theme bundle'];
+    }
+
+    const errors = [];
+
+    if (typeof bundle.formatVersion !== 'number' || bundle.formatVersion > BUNDLE_FORMAT_VERSION) {
+        errors.push('Bundle was made by a newer version of Better Portal');
+    }
+
+    if (typeof bundle.id !== 'string' || !bundle.id.trim()) {
+        errors.push('Bundle is missing a theme ID');
+    }
+
+    const manifest = bundle.manifest || {};
+    if (typeof manifest.name !== 'string' || !manifest.name.trim()) {
+        errors.push('Bundle is missing a theme name');
+    }
+
+    // Exports always have one, but it may be empty
+    if (manifest.preview !== undefined && manifest.preview !== null) {
+        errors.push(...validatePreviewColors(manifest.preview));
+    }
+
+    const css = bundle.css || {};
+    if (typeof css !== 'object' || Object.keys(css).length === 0) {
+        errors.push('Bundle has no CSS for any page type');
+    } else {
+        for (const [pageType, pageCss] of Object.entries(css)) {
+            if (!isPageType(pageType)) {
+                errors.push(`Bundle has CSS for "${pageType}", which is not a page type`);
+            } else if (typeof pageCss !== 'string' || !pageCss.trim()) {
+                errors.push(`Bundle has empty ${pageType} CSS`);
+            }
+        }
+    }
+
+    if (bundle.palette) {
+        errors.push(...validatePalette(bundle.palette).map(error => `Palette: ${error}`));
+    }
+
+    return errors;
+}
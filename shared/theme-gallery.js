@@ -0,0 +1,72 @@
+// Search and sort only pay off once the theme list no longer fits at a glance
+const GALLERY_TOOLS_MIN_THEMES = 6;
+
+// Ways to order the theme gallery; 'source' keeps the themes grouped by where they came from
+const GALLERY_SORTS = [
+    { key: 'source', label: 'By source' },
+    { key: 'name', label: 'Name' },
+    { key: 'author', label: 'Author' },
+    { key: 'downloaded', label: 'Downloaded first' },
+    { key: 'size', label: 'Smallest download' }
+];
+
+// Preview colors shown as swatches, in this order, before any others the theme lists
+const SWATCH_ORDER = ['background', 'surface', 'text', 'accent'];
+const MAX_SWATCHES = 5;
+
+/**
+ * Checks whether a theme matches what was typed in the gallery search
+ * @param {Object} themeConfig The theme's config
+ * @param {string} query The search text; every word has to appear in the name, author or description
+ * @returns {boolean} Whether to show the theme
+ */
+function matchesThemeQuery(themeConfig, query) {
+    const text = [themeConfig.name, themeConfig.author, themeConfig.description].join(' ').toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+}
+
+/**
+ * Orders gallery entries, without touching the array passed in
+ * @param {Array} entries [themeId, themeConfig] pairs
+ * @param {string} sortKey A GALLERY_SORTS key other than 'source'
+ * @param {Set<string>} downloaded IDs of the themes that are ready to use
+ * @returns {Array} The sorted entries; ties are broken by name
+ */
+function sortThemeEntries(entries, sortKey, downloaded) {
+    const byName = ([, a], [, b]) => a.name.localeCompare(b.name);
+    const compare = {
+        name: byName,
+        author: ([, a], [, b]) => (a.author || '').localeCompare(b.author || ''),
+        downloaded: ([idA], [idB]) => Number(downloaded.has(idB)) - Number(downloaded.has(idA)),
+        // Unknown sizes go last
+        size: ([, a], [, b]) => (Number.isFinite(a.size) ? a.size : Infinity) - (Number.isFinite(b.size) ? b.size : Infinity)
+    }[sortKey] || (() => 0);
+
+    return [...entries].sort((a, b) => compare(a, b) || byName(a, b));
+}
+
+/**
+ * Picks the colors to show for a theme in the gallery
+ * @param {Object} themeConfig The theme's config
+ * @returns {string[]} Hex colors, empty if the theme has no preview colors
+ */
+function getThemeSwatches(themeConfig) {
+    const preview = themeConfig.preview || {};
+    const keys = [...SWATCH_ORDER.filter(key => preview[key]), ...Object.keys(preview).filter(key => !SWATCH_ORDER.includes(key))];
+    return keys.slice(0, MAX_SWATCHES).map(key => preview[key]);
+}
+
+/**
+ * Describes how much downloading a theme fetches (needs shared/storage-policy.js loaded first)
+ * @param {Object} themeConfig The theme's config
+ * @returns {string} e.g. '12.3 KB' or 'Colors only', empty if we don't know
+ */
+function describeThemeSize(themeConfig) {
+    if (themeConfig.custom) return '';
+
+    // Palette themes are built from stylesheets that ship with the extension
+    const fileCount = Object.keys({ ...themeConfig.files, ...themeConfig.optionalFiles }).length;
+    if (fileCount === 0) return 'Colors only';
+
+    return Number.isFinite(themeConfig.size) ? formatBytes(themeConfig.size) : '';
+}
@@ -0,0 +1,477 @@
+// The theme list shared by the popup (a quick switcher) and the options page (the full
+// gallery). Each page defines openThemeEditor() itself, as only the popup closes
+// once the editor is open.
+
+/**
+ * Creates an HTML element with specified properties
+ * @param {string} tagName The HTML element tag name
+ * @param {Object} attributes Attributes to set on the element
+ * @param {Array} children Child elements to append
+ * @returns {HTMLElement} The created element
+ */
+function createElement(tagName, attributes = {}, children = []) {
+    const element = document.createElement(tagName);
+
+    // Set attributes
+    for (const [key, value] of Object.entries(attributes)) {
+        if (key === 'textContent') {
+            element.textContent = value;
+        } else if (key === 'className') {
+            element.className = value;
+        } else {
+            element.setAttribute(key, value);
+        }
+    }
+
+    // Append children
+    for (const child of children) {
+        if (typeof child === 'string') {
+            element.appendChild(document.createTextNode(child));
+        } else if (child instanceof Node) {
+            element.appendChild(child);
+        }
+    }
+
+    return element;
+}
+
+/**
+ * Formats when a failing theme source will be tried again
+ * @param {string} retryAt ISO timestamp
+ * @returns {string} e.g. '14:05'
+ */
+function formatRetryTime(retryAt) {
+    return new Date(retryAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Shows how old the theme list is, when a rate-limited source will be tried again, and
+ * whether the theme synced from another device couldn't be used here
+ * @param {Object} themesState The state from the background script
+ */
+function showRegistryStatus(themesState) {
+    const lines = [];
+
+    if (themesState.updatedAt) {
+        const daysSinceUpdate = Math.floor((new Date() - new Date(themesState.updatedAt)) / (1000 * 60 * 60 * 24));
+        lines.push(daysSinceUpdate === 0
+            ? 'Themes updated today'
+            : `Themes updated ${daysSinceUpdate} day${daysSinceUpdate !== 1 ? 's' : ''} ago`);
+    }
+
+    for (const source of themesState.sources) {
+        const status = themesState.sourceStatus[source.id];
+        if (status && status.rateLimited && new Date(status.retryAt) > new Date()) {
+            lines.push(`${source.name}: rate limit reached, trying again at ${formatRetryTime(status.retryAt)}`);
+        }
+    }
+
+    if (themesState.syncUnavailableTheme) {
+        lines.push(`Your theme from another device (${themesState.syncUnavailableTheme}) isn't available here`);
+    }
+
+    document.getElementById('registry-status').textContent = lines.join('\n');
+}
+
+/**
+ * Marks a theme as active in the list and tells the background script
+ * @param {string} themeId The theme ID to activate, or 'default'
+ */
+function selectTheme(themeId) {
+    // Uncheck all toggles
+    document.querySelectorAll('input[type="checkbox"][id$="-toggle"]').forEach(toggle => {
+        toggle.checked = false;
+    });
+
+    // Check the selected one
+    const toggle = document.getElementById(themeId === 'default' ? 'default-theme-toggle' : `${themeId}-toggle`);
+    if (toggle) toggle.checked = true;
+
+    sendBackgroundMessage('activate', { themeId }).catch(error => {
+        console.error(`Error activating theme ${themeId}:`, error);
+    });
+}
+
+/**
+ * Creates the badge that tells a theme was rejected, or had parts of its CSS
+ * removed or flagged, with the details in its tooltip
+ * @param {Object} themeChecks {blocked, flagged, rejected} from the background script
+ * @returns {HTMLElement} The badge element
+ */
+function createCheckBadge(themeChecks) {
+    const { blocked, flagged, rejected } = themeChecks;
+    if (rejected.length > 0) {
+        return createElement('span', {
+            className: 'theme-check rejected',
+            textContent: '⛔ Rejected',
+            title: `This theme's CSS failed our safety checks and was not installed:\n${rejected.join('\n')}`
+        });
+    }
+
+    const details = [
+        ...blocked.map(problem => `Removed ${problem}`),
+        ...flagged.map(problem => `Warning: ${problem}`)
+    ];
+    return createElement('span', {
+        className: 'theme-check',
+        textContent: '⚠',
+        title: details.join('\n')
+    });
+}
+
+/**
+ * Creates the "update available" button for a downloaded theme
+ * @param {string} themeId The theme ID to update
+ * @returns {HTMLElement} The button element
+ */
+function createUpdateButton(themeId) {
+    const updateBtn = createElement('button', {
+        className: 'update-btn',
+        id: `${themeId}-update`,
+        textContent: 'Update',
+        title: 'A newer version of this theme is available'
+    });
+
+    updateBtn.addEventListener('click', async function() {
+        this.disabled = true;
+        this.textContent = '⏳';
+
+        // Re-downloading overwrites the stored CSS in place, and open tabs
+        // using this theme pick the new files up from storage.onChanged
+        try {
+            const { success } = await sendBackgroundMessage('download', { themeId });
+            if (!success) throw new Error('Download failed');
+            this.remove();
+        } catch (error) {
+            console.error(`Error updating theme ${themeId}:`, error);
+            this.textContent = 'Retry';
+            this.disabled = false;
+        }
+    });
+
+    return updateBtn;
+}
+
+/**
+ * Creates the edit button for a theme made in the editor
+ * @param {string} themeId The custom theme ID
+ * @returns {HTMLElement} The button element
+ */
+function createEditButton(themeId) {
+    const editBtn = createElement('button', {
+        className: 'edit-btn',
+        id: `${themeId}-edit`,
+        textContent: '✎',
+        title: 'Edit this theme'
+    });
+
+    editBtn.addEventListener('click', () => openThemeEditor(themeId));
+    return editBtn;
+}
+
+/**
+ * Sets up a toggle for a specific theme
+ * @param {string} themeId The theme ID for the toggle
+ */
+function setupThemeToggle(themeId) {
+    const toggle = document.getElementById(`${themeId}-toggle`);
+    if (!toggle) return;
+
+    toggle.addEventListener('change', function() {
+        // If this was unchecked, default to the default theme
+        selectTheme(this.checked ? themeId : 'default');
+    });
+}
+
+/**
+ * Adds the hidden checkbox and clickable slider for a downloaded theme
+ * @param {HTMLElement} themeStatus The status container to add them to
+ * @param {string} themeId The theme ID, or 'default'
+ * @param {boolean} isActive Whether this theme is currently active
+ */
+function appendThemeSlider(themeStatus, themeId, isActive) {
+    const prefix = themeId === 'default' ? 'default-theme' : themeId;
+
+    const toggleInput = createElement('input', {
+        type: 'checkbox',
+        id: `${prefix}-toggle`,
+        style: 'display:none;'
+    });
+    toggleInput.checked = isActive;
+    themeStatus.appendChild(toggleInput);
+
+    const slider = createElement('span', {
+        className: 'slider',
+        id: `${prefix}-slider`
+    });
+    themeStatus.appendChild(slider);
+
+    // Only do something if this toggle is not already checked
+    slider.addEventListener('click', function() {
+        if (!toggleInput.checked) {
+            selectTheme(themeId);
+        }
+    });
+}
+
+/**
+ * Shows a download as running on its button
+ * @param {HTMLElement} downloadBtn The theme's download button
+ * @param {Object} [progress] Files completed out of total, if known
+ */
+function showDownloadProgress(downloadBtn, progress) {
+    downloadBtn.classList.add('loading');
+    downloadBtn.disabled = true;
+    if (progress && progress.total) {
+        downloadBtn.title = `Downloading ${progress.completed}/${progress.total} files`;
+    }
+}
+
+/**
+ * Draws the theme list: the popup's quick switcher (the themes that are ready to use,
+ * one line each), or the options page's gallery (every theme with its details and
+ * download button, and the themes that failed validation)
+ * @param {Object} themesState The theme state from the background script
+ * @param {Object} [gallery] {query, sortKey} to draw the gallery, nothing for the quick switcher
+ */
+async function createThemeList(themesState, gallery = null) {
+    const togglesContainer = document.getElementById('theme-toggles');
+    // Clear container
+    while (togglesContainer.firstChild) {
+        togglesContainer.removeChild(togglesContainer.firstChild);
+    }
+
+    const { themes, errors, activeTheme } = themesState;
+    const downloadedThemes = new Set(themesState.downloaded);
+    const query = gallery ? gallery.query : '';
+    const sortKey = gallery ? gallery.sortKey : 'source';
+
+    // First, add the default theme option (always available)
+    const defaultToggleDiv = createElement('div', { className: 'switch-container', 'data-theme-id': 'default' });
+    const defaultThemeItem = createElement('div', { className: 'theme-item' });
+
+    // Add theme name
+    const defaultThemeSpan = createElement('span', { textContent: 'Default Theme' });
+    defaultThemeItem.appendChild(defaultThemeSpan);
+
+    // Add theme status with its slider
+    const defaultThemeStatus = createElement('div', { className: 'theme-status' });
+    appendThemeSlider(defaultThemeStatus, 'default', activeTheme === 'default');
+
+    defaultThemeItem.appendChild(defaultThemeStatus);
+    defaultToggleDiv.appendChild(defaultThemeItem);
+    togglesContainer.appendChild(defaultToggleDiv);
+
+    const shownThemes = {};
+    for (const [themeId, themeConfig] of Object.entries(themes)) {
+        const shown = gallery ? matchesThemeQuery(themeConfig, query) : downloadedThemes.has(themeId);
+        if (shown) shownThemes[themeId] = themeConfig;
+    }
+
+    if (sortKey === 'source') {
+        // Add each theme with the appropriate download/switch UI, grouped by where it came from
+        const groups = groupThemesBySource(shownThemes, themesState.sources);
+        for (const { title, entries } of groups) {
+            // Only worth a heading when there's more than one group
+            if (groups.length > 1) {
+                togglesContainer.appendChild(createElement('div', { className: 'theme-source', textContent: title }));
+            }
+
+            for (const [themeId, themeConfig] of entries) {
+                togglesContainer.appendChild(createThemeRow(themeId, themeConfig, themesState, Boolean(gallery)));
+            }
+        }
+    } else {
+        const entries = sortThemeEntries(Object.entries(shownThemes), sortKey, downloadedThemes);
+        for (const [themeId, themeConfig] of entries) {
+            togglesContainer.appendChild(createThemeRow(themeId, themeConfig, themesState, Boolean(gallery)));
+        }
+    }
+
+    if (!gallery) return;
+
+    if (query) {
+        if (Object.keys(shownThemes).length === 0) {
+            togglesContainer.appendChild(createElement('div', { className: 'gallery-empty', textContent: `No themes match "${query}"` }));
+        }
+        return;
+    }
+
+    // List themes whose theme.json didn't pass validation, so they don't just vanish
+    for (const [themeId, themeErrors] of Object.entries(errors)) {
+        const errorDiv = createElement('div', { className: 'switch-container theme-invalid' });
+        const errorItem = createElement('div', { className: 'theme-item' }, [
+            createElement('span', { textContent: themeId }),
+            createElement('div', { className: 'theme-error', textContent: '⚠ Invalid', title: themeErrors.join('\n') })
+        ]);
+        errorDiv.appendChild(errorItem);
+        togglesContainer.appendChild(errorDiv);
+    }
+}
+
+/**
+ * Sorts themes into groups by source, in the order the sources were added,
+ * with the user's own themes last
+ * @param {Object} themes Theme configs keyed by theme ID
+ * @param {Object[]} sources The theme sources
+ * @returns {Array<{title: string, entries: Array}>} Non-empty groups of [themeId, themeConfig]
+ */
+function groupThemesBySource(themes, sources) {
+    const groups = sources.map(source => ({ id: source.id, title: source.name, entries: [] }));
+    const customGroup = { id: null, title: 'Your themes', entries: [] };
+
+    for (const [themeId, themeConfig] of Object.entries(themes)) {
+        const sourceId = themeConfig.source || DEFAULT_THEME_SOURCE.id;
+        const group = themeConfig.custom ? customGroup : groups.find(candidate => candidate.id === sourceId);
+        (group || customGroup).entries.push([themeId, themeConfig]);
+    }
+
+    return [...groups, customGroup].filter(group => group.entries.length > 0);
+}
+
+/**
+ * Creates the row of one theme with its download/switch UI
+ * @param {string} themeId The theme ID
+ * @param {Object} themeConfig The theme's config
+ * @param {Object} themesState The theme state from the background script
+ * @param {boolean} withDetails Whether to add the gallery details under the name
+ * @returns {HTMLElement} The row element
+ */
+function createThemeRow(themeId, themeConfig, themesState, withDetails) {
+    const { checks, activeTheme, downloads } = themesState;
+    const downloadedThemes = new Set(themesState.downloaded);
+    const updatableThemes = new Set(themesState.updates);
+
+    // Create theme container
+    const themeDiv = createElement('div', {
+        className: withDetails ? 'switch-container theme-card' : 'switch-container',
+        'data-theme-id': themeId
+    });
+    const themeItem = createElement('div', { className: 'theme-item' });
+
+    // Add theme name
+    const themeSpan = createElement('span', { textContent: themeConfig.name });
+    themeItem.appendChild(themeSpan);
+
+    if (updatableThemes.has(themeId)) {
+        themeItem.appendChild(createUpdateButton(themeId));
+    }
+
+    // What the CSS checks found when the theme was downloaded or imported
+    if (checks[themeId]) {
+        themeItem.appendChild(createCheckBadge(checks[themeId]));
+    }
+
+    // Only palette themes can be opened in the editor
+    if (themeConfig.custom && themeConfig.palette) {
+        themeItem.appendChild(createEditButton(themeId));
+    }
+
+    // Add theme status
+    const themeStatus = createElement('div', { className: 'theme-status' });
+
+    if (downloadedThemes.has(themeId)) {
+        // Add toggle for downloaded theme
+        appendThemeSlider(themeStatus, themeId, activeTheme === themeId);
+    } else {
+        // Add download button for non-downloaded theme
+        const downloadBtn = createElement('button', {
+            className: 'download-btn',
+            id: `${themeId}-download`
+        });
+
+        const downloadImg = createElement('img', {
+            src: 'icons/download.png',
+            alt: 'Download',
+            width: '14',
+            height: '14'
+        });
+        downloadBtn.appendChild(downloadImg);
+
+        // The download may have been started before the popup was reopened
+        if (downloads[themeId]) {
+            showDownloadProgress(downloadBtn, downloads[themeId]);
+        }
+
+        // Setup download button click handler. The background script does the
+        // download and activates the theme, so closing the popup won't abort it.
+        downloadBtn.addEventListener('click', function() {
+            showDownloadProgress(downloadBtn);
+            sendBackgroundMessage('download', { themeId, activate: true }).catch(error => {
+                console.error(`Error downloading theme ${themeId}:`, error);
+            });
+        });
+
+        themeStatus.appendChild(downloadBtn);
+    }
+
+    themeItem.appendChild(themeStatus);
+    themeDiv.appendChild(themeItem);
+    if (withDetails) {
+        themeDiv.appendChild(createThemeDetails(themeId, themeConfig, themesState));
+    }
+    return themeDiv;
+}
+
+/**
+ * Creates the gallery part of a theme's row: its screenshot or colors, its description,
+ * and who made it, how big it is and whether it's downloaded or active
+ * @param {string} themeId The theme ID
+ * @param {Object} themeConfig The theme's config
+ * @param {Object} themesState The theme state from the background script
+ * @returns {HTMLElement} The details element
+ */
+function createThemeDetails(themeId, themeConfig, themesState) {
+    const details = createElement('div', { className: 'theme-details' });
+
+    const swatches = getThemeSwatches(themeConfig).map(color =>
+        createElement('span', { className: 'theme-swatch', style: `background: ${color};` })
+    );
+    if (themeConfig.screenshotUrl || swatches.length > 0) {
+        const preview = createElement('div', { className: 'theme-preview' });
+        if (themeConfig.screenshotUrl) {
+            const screenshot = createElement('img', {
+                className: 'theme-screenshot',
+                src: themeConfig.screenshotUrl,
+                alt: `${themeConfig.name} on the portal`,
+                loading: 'lazy'
+            });
+            // e.g. offline, or the source removed the picture since the list was fetched
+            screenshot.addEventListener('error', () => screenshot.replaceWith(...swatches));
+            preview.appendChild(screenshot);
+        } else {
+            swatches.forEach(swatch => preview.appendChild(swatch));
+        }
+        details.appendChild(preview);
+    }
+
+    const meta = createElement('div', { className: 'theme-meta' });
+    const facts = [themeConfig.author && `by ${themeConfig.author}`, `v${themeConfig.version}`, describeThemeSize(themeConfig)];
+    meta.textContent = facts.filter(Boolean).join(' · ');
+
+    if (themeId === themesState.activeTheme) {
+        meta.appendChild(createElement('span', { className: 'theme-state active', textContent: ' · Active' }));
+    } else if (themesState.downloaded.includes(themeId)) {
+        meta.appendChild(createElement('span', { className: 'theme-state', textContent: ' · Downloaded' }));
+    }
+
+    const about = createElement('div', { className: 'theme-about' }, [
+        createElement('div', { className: 'theme-description', textContent: themeConfig.description, title: themeConfig.description }),
+        meta
+    ]);
+    details.appendChild(about);
+    return details;
+}
+
+/**
+ * Shows the progress the background script reports on the matching download button
+ * (called by the page once browserAPI is defined)
+ */
+function followDownloadProgress() {
+    browserAPI.runtime.onMessage.addListener(function(message) {
+        if (message.type === 'download-progress') {
+            const downloadBtn = document.getElementById(`${message.themeId}-download`);
+            if (downloadBtn) showDownloadProgress(downloadBtn, message);
+        }
+    });
+}
@@ -0,0 +1,170 @@
+// Name of the manifest file every theme folder ships with
+const THEME_MANIFEST_FILE = 'theme.json';
+
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const VERSION_PATTERN = /^\d+(?:\.\d+){0,2}$/;
+const INTEGRITY_PATTERN = /^sha256-[A-Za-z0-9+/]{43}=$/;
+
+// A picture of the theme in its folder, shown in the popup's gallery
+const SCREENSHOT_PATTERN = /^[\w.-]+\.(png|jpe?g|webp)$/i;
+
+/**
+ * Checks a parsed theme.json and turns it into the config we store in themes_config.
+ * A theme either ships a "palette" for the shared base stylesheets (needs shared/palette.js
+ * loaded first), or is a legacy theme with full CSS "files" for one or more page types
+ * (needs shared/page-types.js loaded first).
+ * Page types without a file use the styles of the page type they fall back to.
+ * @param {Object} manifest The parsed theme.json contents
+ * @param {string} path Path of the theme folder in the repository
+ * @returns {{config: (Object|null), errors: string[]}} The config, or every problem we found
+ */
+function validateThemeManifest(manifest, path) {
+    const errors = [];
+
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+        return { config: null, errors: [`${THEME_MANIFEST_FILE} must contain a JSON object`] };
+    }
+
+    if (typeof manifest.name !== 'string' || !manifest.name.trim()) {
+        errors.push('"name" must be a non-empty string');
+    }
+
+    if (typeof manifest.version !== 'string' || !VERSION_PATTERN.test(manifest.version)) {
+        errors.push('"version" must look like "1.0.0"');
+    }
+
+    for (const field of ['author', 'description']) {
+        if (manifest[field] !== undefined && typeof manifest[field] !== 'string') {
+            errors.push(`"${field}" must be a string`);
+        }
+    }
+
+    if (manifest.preview !== undefined) {
+        errors.push(...validatePreviewColors(manifest.preview));
+    }
+
+    if (manifest.screenshot !== undefined && (typeof manifest.screenshot !== 'string' || !SCREENSHOT_PATTERN.test(manifest.screenshot))) {
+        errors.push('"screenshot" must be the name of a .png, .jpg or .webp file in the theme folder');
+    }
+
+    const isPaletteTheme = manifest.palette !== undefined;
+    if (isPaletteTheme) {
+        errors.push(...validatePalette(manifest.palette).map(error => `palette: ${error}`));
+    }
+
+    const files = manifest.files || {};
+    if (typeof files !== 'object') {
+        errors.push('"files" must map page types to CSS files');
+    }
+
+    // "optionalFiles" is from when some page types were required; it works like "files"
+    const optionalFiles = manifest.optionalFiles || {};
+    if (typeof optionalFiles !== 'object') {
+        errors.push('"optionalFiles" must map page types to CSS files');
+    } else if (!isPaletteTheme && typeof files === 'object' && Object.keys({ ...optionalFiles, ...files }).length === 0) {
+        errors.push('"files" must list a CSS file for at least one page type');
+    }
+
+    // The file is stored under `${themeId}-${pageType}`, so anything else could overwrite
+    // another key of the theme (like its palette)
+    for (const [pageType, fileName] of Object.entries({ ...optionalFiles, ...files })) {
+        if (!isPageType(pageType)) {
+            errors.push(`"${pageType}" is not a page type (use ${Object.keys(PAGE_TYPES).join(', ')})`);
+        } else if (typeof fileName !== 'string' || !fileName.endsWith('.css')) {
+            errors.push(`file for "${pageType}" must be a .css file name`);
+        }
+    }
+
+    // Optional SHA-256 hashes of the CSS files, checked when they're downloaded
+    const integrity = manifest.integrity || {};
+    if (typeof integrity !== 'object') {
+        errors.push('"integrity" must map page types to sha256- hashes');
+    } else {
+        const fileTypes = new Set(Object.keys({ ...optionalFiles, ...files }));
+        for (const [pageType, hash] of Object.entries(integrity)) {
+            if (!fileTypes.has(pageType)) {
+                errors.push(`"integrity" lists "${pageType}", which has no file`);
+            } else if (!INTEGRITY_PATTERN.test(hash)) {
+                errors.push(`integrity hash for "${pageType}" must look like "sha256-<base64>"`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        return { config: null, errors };
+    }
+
+    return {
+        config: {
+            name: manifest.name.trim(),
+            author: manifest.author || '',
+            description: manifest.description || '',
+            version: manifest.version,
+            preview: manifest.preview || (isPaletteTheme ? { ...manifest.palette } : {}),
+            screenshot: manifest.screenshot || '',
+            palette: isPaletteTheme ? { ...manifest.palette } : null,
+            files: { ...files },
+            optionalFiles: { ...optionalFiles },
+            integrity: { ...integrity },
+            path
+        },
+        errors
+    };
+}
+
+/**
+ * Checks a theme's "preview" colors, which the gallery puts straight into inline styles
+ * @param {*} preview The preview entry from a theme.json or bundle
+ * @returns {string[]} Problems found, empty if every value is a hex color
+ */
+function validatePreviewColors(preview) {
+    if (!preview || typeof preview !== 'object' || Array.isArray(preview)) {
+        return ['"preview" must be an object of colors'];
+    }
+
+    return Object.entries(preview)
+        .filter(([, color]) => typeof color !== 'string' || !HEX_COLOR_PATTERN.test(color))
+        .map(([key]) => `preview color "${key}" must be a hex color`);
+}
+
+/**
+ * Lists every page type → file name a theme provides
+ * @param {Object} themeConfig A validated theme config
+ * @returns {Object} Page type to CSS file name
+ */
+function getThemeFiles(themeConfig) {
+    return { ...themeConfig.files, ...themeConfig.optionalFiles };
+}
+
+/**
+ * Compares two theme versions like "1.2.0" part by part (missing parts count as 0)
+ * @param {string} a A version
+ * @param {string} b Another version
+ * @returns {number} Negative if a is older than b, positive if newer, 0 if equal
+ */
+function compareVersions(a, b) {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] || 0) - (partsB[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * Works out whether the upstream copy of a theme differs from the one we stored
+ * @param {Object} themeConfig The theme config from the latest registry fetch
+ * @param {Object} [installed] What we recorded at download time ({version, shas})
+ * @returns {boolean} Whether an update is available
+ */
+function isThemeUpdateAvailable(themeConfig, installed) {
+    // Downloaded before we started tracking versions, so we can't vouch for it
+    if (!installed) return true;
+
+    if (installed.version !== themeConfig.version) return true;
+
+    const latestShas = themeConfig.shas || {};
+    const installedShas = installed.shas || {};
+    return Object.keys(latestShas).some(fileType => latestShas[fileType] !== installedShas[fileType]);
+}
@@ -0,0 +1,70 @@
+// Rules used until the user saves their own: every page follows the active theme
+const DEFAULT_THEME_RULES = {
+    pageTypes: { home: null, assignments: null, extras: null },
+    courses: []
+};
+
+/**
+ * Checks theme rules before we store them, whether saved here or synced from another
+ * device, since content.js applies them on every portal page (needs shared/page-types.js loaded first)
+ * @param {Object} rules {pageTypes: {pageType: themeId|null}, courses: [{match, theme}]}
+ * @returns {string[]} Problems found, empty if the rules are usable
+ */
+function validateThemeRules(rules) {
+    if (!rules || typeof rules !== 'object' || !rules.pageTypes || typeof rules.pageTypes !== 'object' ||
+        Array.isArray(rules.pageTypes) || !Array.isArray(rules.courses)) {
+        return ['Theme rules are malformed'];
+    }
+
+    const errors = [];
+    for (const [pageType, themeId] of Object.entries(rules.pageTypes)) {
+        if (!isPageType(pageType)) {
+            errors.push(`"${pageType}" is not a page type`);
+        } else if (themeId !== null && (typeof themeId !== 'string' || !themeId)) {
+            errors.push(`The theme for ${PAGE_TYPES[pageType].label} pages must be a theme ID`);
+        }
+    }
+
+    for (const rule of rules.courses) {
+        if (!rule || typeof rule.match !== 'string' || !rule.match.trim()) {
+            errors.push('Every course rule needs a course ID or URL to match');
+        } else if (typeof rule.theme !== 'string' || !rule.theme) {
+            errors.push(`Pick a theme for courses matching "${rule.match}"`);
+        }
+    }
+    return errors;
+}
+
+/**
+ * Picks the theme for a page (needs shared/page-types.js loaded first). Precedence, most specific first:
+ * 1. the first course rule whose text appears in the URL
+ * 2. the theme chosen for the page type, or else for the page types it falls back to
+ * 3. the active theme
+ * @param {Object} rules The theme rules
+ * @param {string} activeTheme The globally active theme
+ * @param {string} url The page's URL
+ * @param {string|null} pageType The page's type from getPageTypeForUrl()
+ * @returns {string} The theme ID to apply ('default' for none)
+ */
+function resolveThemeForPage(rules, activeTheme, url, pageType) {
+    const courseRule = rules.courses.find(rule => url.includes(rule.match.trim()));
+    if (courseRule) {
+        return courseRule.theme;
+    }
+
+    const ruleType = resolveStyledPageType(pageType, type => Boolean(rules.pageTypes[type]));
+    if (ruleType) {
+        return rules.pageTypes[ruleType];
+    }
+
+    return activeTheme || 'default';
+}
+
+/**
+ * Lists the themes the rules can switch to
+ * @param {Object} rules The theme rules
+ * @returns {string[]} Theme IDs
+ */
+function getRuleThemeIds(rules) {
+    return [...Object.values(rules.pageTypes), ...rules.courses.map(rule => rule.theme)].filter(Boolean);
+}
@@ -0,0 +1,109 @@
+// Where themes come from unless the user adds more. Themes from this source keep
+// their folder names as IDs; themes from any other source get the source ID in front.
+const DEFAULT_THEME_SOURCE = {
+    id: 'official',
+    type: 'github',
+    name: 'Better Portal',
+    owner: '0xAadit',
+    repo: 'better-portal',
+    branch: 'main',
+    path: 'themes'
+};
+
+// A GitHub repository folder, or a theme index file served over HTTPS
+const THEME_SOURCE_TYPES = ['github', 'index'];
+
+// Separates the source ID from the folder name in a namespaced theme ID
+const THEME_ID_SEPARATOR = ':';
+
+const GITHUB_NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+// Plain HTTP is only allowed for an index served from this machine, e.g. while testing themes
+const LOCAL_INDEX_PATTERN = /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?\//;
+
+/**
+ * Checks a theme source before we store it
+ * @param {Object} source {type: 'github', name, owner, repo, branch, path} or {type: 'index', name, url}
+ * @returns {string[]} Problems found, empty if the source is usable
+ */
+function validateThemeSource(source) {
+    if (!source || !THEME_SOURCE_TYPES.includes(source.type)) {
+        return ['Pick a GitHub repository or an index URL'];
+    }
+
+    const errors = [];
+    if (typeof source.name !== 'string' || !source.name.trim()) {
+        errors.push('Give the source a name');
+    }
+
+    if (source.type === 'github') {
+        if (!GITHUB_NAME_PATTERN.test(source.owner || '') || !GITHUB_NAME_PATTERN.test(source.repo || '')) {
+            errors.push('Enter the repository as owner/name');
+        }
+        if (typeof source.branch !== 'string' || !source.branch.trim() || /\s/.test(source.branch)) {
+            errors.push('Enter a branch name');
+        }
+        if (typeof source.path !== 'string' || source.path.split('/').includes('..')) {
+            errors.push('Enter the folder the themes live in, e.g. themes');
+        }
+    } else if (!/^https:\/\//.test(source.url || '') && !LOCAL_INDEX_PATTERN.test(source.url || '')) {
+        errors.push('Index URLs must start with https:// (or http://localhost for testing)');
+    }
+
+    return errors;
+}
+
+/**
+ * Builds the ID a theme is stored under
+ * @param {string} sourceId The source the theme comes from
+ * @param {string} folder The theme's folder (or index entry) name
+ * @returns {string} e.g. 'dark' for the official source, 'team:dark' for others
+ */
+function getSourceThemeId(sourceId, folder) {
+    return sourceId === DEFAULT_THEME_SOURCE.id ? folder : `${sourceId}${THEME_ID_SEPARATOR}${folder}`;
+}
+
+/**
+ * Works out which source a theme came from, from its ID
+ * @param {string} themeId A theme ID built by getSourceThemeId()
+ * @returns {string} The source ID
+ */
+function getThemeSourceId(themeId) {
+    const separator = themeId.indexOf(THEME_ID_SEPARATOR);
+    return separator === -1 ? DEFAULT_THEME_SOURCE.id : themeId.slice(0, separator);
+}
+
+/**
+ * Picks an ID for a new source from its name
+ * @param {string} name The name the user typed
+ * @param {string[]} existingIds IDs already taken
+ * @returns {string} e.g. 'team-fork'
+ */
+function createThemeSourceId(name, existingIds) {
+    const baseId = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'source';
+    let sourceId = baseId;
+    for (let n = 2; existingIds.includes(sourceId); n++) {
+        sourceId = `${baseId}-${n}`;
+    }
+    return sourceId;
+}
+
+/**
+ * Lists the host permissions a source needs before we can fetch from it
+ * (GitHub is covered by the manifest)
+ * @param {Object} source The theme source
+ * @returns {string[]} Origin match patterns
+ */
+function getThemeSourceOrigins(source) {
+    return source.type === 'index' ? [`${new URL(source.url).origin}/*`] : [];
+}
+
+/**
+ * Describes where a source points, for the UI
+ * @param {Object} source The theme source
+ * @returns {string} e.g. '0xAadit/better-portal@main/themes'
+ */
+function describeThemeSource(source) {
+    if (source.type === 'index') return source.url;
+    return `${source.owner}/${source.repo}@${source.branch}${source.path ? `/${source.path}` : ''}`;
+}
@@ -0,0 +1,58 @@
+// The theme state the popup and the options page both draw from (see getThemesState in
+// background.js). Pages register what to redraw with onThemesStateChange() and call
+// watchThemesState() to keep it current.
+
+// Latest theme state reported by the background script
+let THEMES_STATE = null;
+
+// Called with the new state every time it's loaded
+const themesStateListeners = [];
+
+/**
+ * Asks the background script for the theme list and lets the page redraw
+ * @param {boolean} refresh Whether the background should check the theme sources again
+ * @param {boolean} [force] Whether to check sources that were checked recently too
+ * @returns {Promise<Object>} The theme state that was drawn
+ */
+async function loadThemes(refresh, force = false) {
+    THEMES_STATE = await sendBackgroundMessage('list', { refresh, force });
+    for (const listener of themesStateListeners) {
+        await listener(THEMES_STATE);
+    }
+    return THEMES_STATE;
+}
+
+/**
+ * Registers what to redraw when the theme state changes
+ * @param {function(Object): (Promise|undefined)} listener Called with the new state
+ */
+function onThemesStateChange(listener) {
+    themesStateListeners.push(listener);
+}
+
+/**
+ * Reloads the state without checking the theme sources
+ */
+function reloadThemes() {
+    loadThemes(false).catch(error => {
+        console.error('Error reloading theme state:', error);
+    });
+}
+
+/**
+ * Reloads the state whenever a download finishes, so the new toggle shows up, or the
+ * active theme changes, as it may from the other page, a shortcut or a schedule
+ */
+function watchThemesState() {
+    browserAPI.runtime.onMessage.addListener(function(message) {
+        if (message.type === 'download-complete') {
+            reloadThemes();
+        }
+    });
+
+    browserAPI.storage.onChanged.addListener(function(changes, areaName) {
+        if (areaName === 'local' && changes.theme && THEMES_STATE) {
+            reloadThemes();
+        }
+    });
+}
@@ -0,0 +1,67 @@
+// Personal CSS the user layers on top of whatever theme is applied, stored as
+// {themeId: {pageType: css}}. Overrides under this key apply with every theme.
+const USER_CSS_ALL_THEMES = '*';
+
+// Keeps a runaway paste from filling local storage
+const USER_CSS_MAX_LENGTH = 100 * 1024;
+
+/**
+ * Checks a personal CSS override before we store it (needs shared/page-types.js loaded first)
+ * @param {string} themeId The theme it applies to, or USER_CSS_ALL_THEMES
+ * @param {string} pageType The page type it applies to
+ * @param {string} css The CSS (empty to remove the override)
+ * @returns {string[]} Problems found, empty if the override is usable
+ */
+function validateUserCss(themeId, pageType, css) {
+    const errors = [];
+    if (typeof themeId !== 'string' || !themeId) {
+        errors.push('Pick which theme the CSS is for');
+    }
+    if (!isPageType(pageType)) {
+        errors.push('Pick which page type the CSS is for');
+    }
+    if (typeof css !== 'string') {
+        errors.push('The CSS must be text');
+    } else if (css.length > USER_CSS_MAX_LENGTH) {
+        errors.push(`Keep the CSS under ${USER_CSS_MAX_LENGTH / 1024} KB`);
+    }
+    return errors;
+}
+
+/**
+ * Sets or removes one override, without touching the stored object
+ * @param {Object} userCss The stored overrides
+ * @param {string} themeId The theme it applies to, or USER_CSS_ALL_THEMES
+ * @param {string} pageType The page type it applies to
+ * @param {string} css The CSS, or an empty string to remove the override
+ * @returns {Object} The updated overrides
+ */
+function setUserCss(userCss, themeId, pageType, css) {
+    const pages = { ...userCss[themeId] };
+    if (css.trim()) {
+        pages[pageType] = css;
+    } else {
+        delete pages[pageType];
+    }
+
+    const updated = { ...userCss, [themeId]: pages };
+    if (Object.keys(pages).length === 0) {
+        delete updated[themeId];
+    }
+    return updated;
+}
+
+/**
+ * Collects the personal CSS for a page: the all-themes override first, then the
+ * theme's own, so the more specific one wins when both set the same thing
+ * @param {Object} userCss The stored overrides
+ * @param {string} themeId The theme applied to the page ('default' included)
+ * @param {string} pageType The page type
+ * @returns {string} The CSS to inject, empty if there's none
+ */
+function getUserCss(userCss, themeId, pageType) {
+    return [USER_CSS_ALL_THEMES, themeId]
+        .map(key => userCss[key] && userCss[key][pageType])
+        .filter(Boolean)
+        .join('\n');
+}
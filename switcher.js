@@ -0,0 +1,291 @@
+// The optional on-page theme switcher. Runs after content.js, whose helpers
+// (browserAPI, getPageType, LOCATION_CHANGE_EVENT) it shares.
+
+// Styles of the switcher itself. It lives in a closed shadow root, so neither the
+// portal's CSS nor the theme's can reach in, and these don't leak out.
+const SWITCHER_STYLES = `
+    .switcher {
+        font: 13px/1.4 system-ui, -apple-system, 'Segoe UI', sans-serif;
+        color: #CDD6F4;
+        background: #1E1E2E;
+        border: 1px solid #45475A;
+        border-radius: 8px;
+        box-shadow: 0 4px 16px rgba(0, 0, 0, 0.35);
+        min-width: 150px;
+        overflow: hidden;
+    }
+    .bar {
+        display: flex;
+        align-items: center;
+    }
+    .handle {
+        flex: 1;
+        padding: 6px 10px;
+        cursor: grab;
+        user-select: none;
+        font-weight: 600;
+    }
+    .handle:active {
+        cursor: grabbing;
+    }
+    button {
+        font: inherit;
+        color: inherit;
+        background: none;
+        border: none;
+        cursor: pointer;
+    }
+    .close {
+        padding: 6px 10px;
+        opacity: 0.7;
+    }
+    .close:hover {
+        opacity: 1;
+    }
+    ul {
+        list-style: none;
+        margin: 0;
+        padding: 4px 0;
+        border-top: 1px solid #45475A;
+        max-height: 240px;
+        overflow-y: auto;
+    }
+    ul[hidden] {
+        display: none;
+    }
+    li button {
+        display: block;
+        width: 100%;
+        padding: 4px 10px;
+        text-align: left;
+    }
+    li button:hover, li button:focus-visible {
+        background: #313244;
+    }
+    li button.active {
+        color: #89B4FA;
+        font-weight: 600;
+    }
+`;
+
+// Pointer movement below this many px is a click on the handle, not a drag
+const SWITCHER_DRAG_THRESHOLD = 3;
+
+// The switcher settings from storage (see shared/switcher-settings.js)
+let switcherSettings = DEFAULT_SWITCHER_SETTINGS;
+
+// The element hosting the shadow root, its parts, and the page type it's placed for
+let switcherHost = null;
+let switcherParts = null;
+let switcherPageType = null;
+
+/**
+ * Builds the switcher: a drag handle that opens the theme list, and a close button
+ * @returns {HTMLElement} The host element, not yet in the page
+ */
+function createSwitcher() {
+    // A custom element name, so the portal's and themes' element selectors don't match it
+    const host = document.createElement('better-portal-switcher');
+    const shadow = host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = SWITCHER_STYLES;
+
+    const handle = document.createElement('span');
+    handle.className = 'handle';
+    handle.textContent = '🎨 Themes';
+    handle.title = 'Click to pick a theme, drag to move';
+
+    const closeButton = document.createElement('button');
+    closeButton.className = 'close';
+    closeButton.textContent = '✕';
+
+    const bar = document.createElement('div');
+    bar.className = 'bar';
+    bar.append(handle, closeButton);
+
+    const list = document.createElement('ul');
+    list.hidden = true;
+
+    const switcher = document.createElement('div');
+    switcher.className = 'switcher';
+    switcher.append(bar, list);
+    shadow.append(style, switcher);
+
+    switcherParts = { handle, closeButton, list };
+    makeSwitcherDraggable(host, handle);
+
+    closeButton.addEventListener('click', () => {
+        saveSwitcherPage({ hidden: true });
+    });
+
+    return host;
+}
+
+/**
+ * Moves the switcher, keeping it inside the window
+ * @param {{left: number, top: number}} position Where to put its top left corner
+ * @returns {{left: number, top: number}} Where it ended up
+ */
+function placeSwitcher(position) {
+    const rect = switcherHost.getBoundingClientRect();
+    const placed = clampSwitcherPosition(
+        position,
+        { width: rect.width, height: rect.height },
+        { width: document.documentElement.clientWidth, height: document.documentElement.clientHeight }
+    );
+    switcherHost.style.setProperty('left', `${placed.left}px`, 'important');
+    switcherHost.style.setProperty('top', `${placed.top}px`, 'important');
+    return placed;
+}
+
+/**
+ * Lets the switcher be dragged by its handle; a click without moving opens the theme list
+ * @param {HTMLElement} host The switcher's host element
+ * @param {HTMLElement} handle The drag handle
+ */
+function makeSwitcherDraggable(host, handle) {
+    let drag = null;
+
+    handle.addEventListener('pointerdown', event => {
+        const rect = host.getBoundingClientRect();
+        drag = { x: event.clientX, y: event.clientY, left: rect.left, top: rect.top, moved: false };
+        handle.setPointerCapture(event.pointerId);
+    });
+
+    handle.addEventListener('pointermove', event => {
+        if (!drag) return;
+        const dx = event.clientX - drag.x;
+        const dy = event.clientY - drag.y;
+        if (!drag.moved && Math.hypot(dx, dy) < SWITCHER_DRAG_THRESHOLD) return;
+
+        drag.moved = true;
+        placeSwitcher({ left: drag.left + dx, top: drag.top + dy });
+    });
+
+    handle.addEventListener('pointerup', () => {
+        if (!drag) return;
+        const { moved } = drag;
+        drag = null;
+
+        if (moved) {
+            const rect = host.getBoundingClientRect();
+            saveSwitcherPage({ hidden: false, left: Math.round(rect.left), top: Math.round(rect.top) });
+        } else {
+            toggleSwitcherList();
+        }
+    });
+}
+
+/**
+ * Remembers the switcher's position or visibility on the current page type
+ * @param {Object} changes {hidden} and/or {left, top}
+ */
+function saveSwitcherPage(changes) {
+    const saved = switcherSettings.pages[switcherPageType] || { hidden: false, ...DEFAULT_SWITCHER_POSITION };
+    sendBackgroundMessage('switcher-page', {
+        pageType: switcherPageType,
+        page: { ...saved, ...changes }
+    }).catch(error => {
+        console.error('Could not save the switcher position:', error);
+    });
+}
+
+/**
+ * Opens or closes the theme list
+ */
+function toggleSwitcherList() {
+    const { list } = switcherParts;
+    list.hidden = !list.hidden;
+    if (!list.hidden) {
+        fillSwitcherList();
+    }
+}
+
+/**
+ * Lists the default theme and every downloaded theme, marking the active one
+ */
+async function fillSwitcherList() {
+    const { list } = switcherParts;
+    try {
+        const { themes, downloaded, activeTheme } = await sendBackgroundMessage('list', { refresh: false });
+        const options = [['default', 'Default Theme'], ...downloaded.map(themeId => [themeId, themes[themeId] ? themes[themeId].name : themeId])];
+
+        list.textContent = '';
+        for (const [themeId, name] of options) {
+            const button = document.createElement('button');
+            button.textContent = name;
+            button.classList.toggle('active', themeId === activeTheme);
+
+            // content.js applies the new theme through storage.onChanged
+            button.addEventListener('click', () => {
+                sendBackgroundMessage('activate', { themeId }).catch(error => {
+                    console.error(`Error activating theme ${themeId}:`, error);
+                });
+            });
+
+            const item = document.createElement('li');
+            item.appendChild(button);
+            list.appendChild(item);
+        }
+    } catch (error) {
+        console.error('Could not list themes for the switcher:', error);
+    }
+}
+
+/**
+ * Shows, hides or moves the switcher for the current page type
+ */
+function updateSwitcher() {
+    const pageType = getPageType();
+    const page = pageType && switcherSettings.pages[pageType];
+
+    if (!switcherSettings.enabled || !pageType || (page && page.hidden)) {
+        if (switcherHost) switcherHost.remove();
+        return;
+    }
+
+    if (!switcherHost) {
+        switcherHost = createSwitcher();
+        switcherHost.style.cssText = 'all: initial !important; position: fixed !important; z-index: 2147483647 !important;';
+    }
+    // On <html> rather than <body>, which the portal may replace while re-rendering
+    if (!switcherHost.isConnected) {
+        document.documentElement.appendChild(switcherHost);
+    }
+
+    switcherPageType = pageType;
+    switcherParts.closeButton.title = `Hide on ${pageType} pages (turn it back on in Better Portal's settings)`;
+    placeSwitcher(page || DEFAULT_SWITCHER_POSITION);
+}
+
+// Place the switcher once there's a page to put it on
+browserAPI.storage.local.get('switcher_settings', function(data) {
+    switcherSettings = data.switcher_settings || DEFAULT_SWITCHER_SETTINGS;
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', updateSwitcher, { once: true });
+    } else {
+        updateSwitcher();
+    }
+});
+
+browserAPI.storage.onChanged.addListener(function(changes, areaName) {
+    if (areaName !== 'local') return;
+
+    if (changes.switcher_settings) {
+        switcherSettings = changes.switcher_settings.newValue || DEFAULT_SWITCHER_SETTINGS;
+        if (document.readyState !== 'loading') updateSwitcher();
+    }
+
+    // Keep the active theme marker right while the list is open
+    if (changes.theme && switcherParts && !switcherParts.list.hidden) {
+        fillSwitcherList();
+    }
+});
+
+// Each page type has its own position, so follow the portal's navigation too
+for (const eventName of [LOCATION_CHANGE_EVENT, 'popstate', 'hashchange', 'resize']) {
+    window.addEventListener(eventName, () => {
+        if (document.readyState !== 'loading') updateSwitcher();
+    });
+}
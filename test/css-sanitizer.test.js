@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts.js');
+
+const { sanitizeThemeCss } = loadScripts('shared/css-sanitizer.js');
+
+test('removes @import with or without a space before the URL', () => {
+    for (const css of [
+        '@import url(https://evil.example/x.css);body{}',
+        '@import "https://evil.example/x.css";body{}',
+        '@import"https://evil.example/x.css";body{}',
+        '@import\'https://evil.example/x.css\' screen;body{}',
+        '@IMPORT"https://evil.example/x.css";body{}',
+        '@import/**/"https://evil.example/x.css";body{}'
+    ]) {
+        const result = sanitizeThemeCss(css);
+        assert.equal(result.css, 'body{}', css);
+        assert.equal(result.blocked.length, 1, css);
+        assert.match(result.blocked[0], /evil\.example/, css);
+    }
+});
+
+test('leaves at-rules that only start like @import alone', () => {
+    assert.deepEqual(sanitizeThemeCss('@import-like{}').blocked, []);
+});
+
+test('checks code that comments split up as if the comments were not there', () => {
+    for (const css of [
+        'body{background:ur/**/l(https://evil.example/a.png)}',
+        'body{background:url(/**/https://evil.example/a.png)}',
+        'body{background:url(/* data:image/png, */https://evil.example/a.png)}'
+    ]) {
+        const result = sanitizeThemeCss(css);
+        assert.equal(result.css, 'body{background:none}', css);
+        assert.deepEqual(result.blocked, ['url(https://evil.example/a.png)'], css);
+    }
+});
+
+test('blocks remote url() in any case, quoted or not', () => {
+    for (const [url, target] of [
+        ['url(https://evil.example/a.png)', 'https://evil.example/a.png'],
+        ['URL(https://evil.example/a.png)', 'https://evil.example/a.png'],
+        ['Url("https://evil.example/a.png")', 'https://evil.example/a.png'],
+        ['url(\'//evil.example/a.png\')', '//evil.example/a.png'],
+        ['url( "https://evil.example/a.png" )', 'https://evil.example/a.png']
+    ]) {
+        const result = sanitizeThemeCss(`body{background:${url}}`);
+        assert.equal(result.css, 'body{background:none}', url);
+        assert.deepEqual(result.blocked, [`url(${target})`], url);
+    }
+});
+
+test('blocks remote image-set() candidates but keeps inline ones', () => {
+    const remote = sanitizeThemeCss('body{background:-webkit-image-set("https://evil.example/a.png" 1x, "data:image/png;base64,AA==" 2x)}');
+    assert.equal(remote.css, 'body{background:none}');
+    assert.deepEqual(remote.blocked, ['image-set(https://evil.example/a.png)']);
+
+    const inline = 'body{background:image-set("data:image/png;base64,AA==" 1x)}';
+    assert.deepEqual(sanitizeThemeCss(inline), { css: inline, blocked: [], flagged: [], rejected: [] });
+});
+
+test('keeps inline images, fonts and fragments but not other data: URLs', () => {
+    const css = '@font-face{src:url(data:font/woff2;base64,AA==)}body{background:url("data:image/svg+xml;utf8,<svg/>"),url(data:image/png;base64,AA==);filter:url(#tint)}';
+    const result = sanitizeThemeCss(css);
+    assert.deepEqual(result.blocked, ['url(data:image/svg+xml;utf8,<svg/>)']);
+
+    assert.deepEqual(sanitizeThemeCss('body{background:url("data:text/html,<p>")}').blocked, ['url(data:text/html,<p>)']);
+    assert.deepEqual(sanitizeThemeCss('body{filter:url(#tint)}').blocked, []);
+});
+
+test('rejects escapes outside strings but allows them inside', () => {
+    for (const css of ['body{background:\\75rl(https://evil.example/a.png)}', '@\\69mport "https://evil.example/x.css";']) {
+        assert.deepEqual(sanitizeThemeCss(css), { css: null, blocked: [], flagged: [], rejected: ['uses CSS escapes outside strings'] }, css);
+    }
+
+    const quoted = '.icon::before{content:"\\2713"}';
+    assert.deepEqual(sanitizeThemeCss(quoted), { css: quoted, blocked: [], flagged: [], rejected: [] });
+});
+
+test('flags rules that hide form controls, including inside @media', () => {
+    const result = sanitizeThemeCss('@media (min-width: 1px){button.submit{display:none}}.btn{opacity:0}p{display:none}');
+    assert.deepEqual(result.flagged, ['hides form controls: button.submit', 'hides form controls: .btn']);
+});
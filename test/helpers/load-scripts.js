@@ -0,0 +1,48 @@
+// Loads shared/ scripts the way the extension does: as classic scripts sharing one
+// global scope, in the order given (e.g. page-types.js before theme-rules.js).
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+const loaded = new Set();
+
+/**
+ * Runs scripts that haven't been run yet in this test process
+ * @param {...string} files Paths from the repository root
+ * @returns {Object} Looks up any top-level name the scripts declared
+ */
+function loadScripts(...files) {
+    for (const file of files) {
+        if (loaded.has(file)) continue;
+        vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+        loaded.add(file);
+    }
+    return new Proxy({}, { get: (target, name) => vm.runInThisContext(String(name)) });
+}
+
+/**
+ * Stands in for the extension API with an object that accepts any call and does nothing,
+ * which is enough for background.js to load and register its listeners
+ * @returns {Object} The stub, to set as globalThis.chrome before loading background.js
+ */
+function createBrowserStub() {
+    const stub = new Proxy(function() {}, {
+        // Not a thenable, so awaiting a stubbed call doesn't hang
+        get: (target, name) => (name === 'then' ? undefined : stub),
+        apply: () => stub
+    });
+    return stub;
+}
+
+/**
+ * Loads background.js (after the shared scripts it imports) with a stubbed extension API
+ * @returns {Object} Looks up any top-level name the scripts declared
+ */
+function loadBackground() {
+    globalThis.chrome = createBrowserStub();
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    return loadScripts(...manifest.background.scripts);
+}
+
+module.exports = { ROOT, loadScripts, loadBackground };
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { ROOT, loadScripts } = require('./helpers/load-scripts.js');
+
+const { PAGE_TYPES, getPageTypeChain, diffPortalMatches } = loadScripts('shared/page-types.js');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+test('every content script runs exactly where the page type rules look', () => {
+    for (const contentScript of manifest.content_scripts) {
+        assert.deepEqual(diffPortalMatches(contentScript.matches), { missing: [], unused: [] }, contentScript.js.join(', '));
+    }
+});
+
+test('host_permissions cover every page the rules look at', () => {
+    assert.deepEqual(diffPortalMatches(manifest.host_permissions).missing, []);
+});
+
+test('every fallback chain ends at a page type with a base stylesheet', () => {
+    for (const pageType of Object.keys(PAGE_TYPES)) {
+        const chain = getPageTypeChain(pageType);
+        assert.equal(PAGE_TYPES[chain[chain.length - 1]].fallback, null, pageType);
+        assert.ok(fs.existsSync(path.join(ROOT, 'base', `${chain[chain.length - 1]}.css`)), pageType);
+    }
+});
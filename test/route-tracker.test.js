@@ -0,0 +1,28 @@
+// Replays URL sequences the portal goes through on client-side navigation
+// (see fixtures/routes.json) through the same tracker content.js uses.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadScripts } = require('./helpers/load-scripts.js');
+
+const { getPageTypeForUrl, createRouteTracker, replayRoute } = loadScripts('shared/page-types.js', 'shared/route-tracker.js');
+const routes = require('./fixtures/routes.json');
+
+for (const route of routes) {
+    test(`classifies every step: ${route.name}`, () => {
+        for (const step of route.steps) {
+            assert.equal(getPageTypeForUrl(step.url), step.pageType, `${step.via} to ${step.url}`);
+        }
+    });
+
+    test(`swaps the theme only when the page type changes: ${route.name}`, () => {
+        const urls = route.steps.map(step => step.url);
+        assert.deepEqual(replayRoute(getPageTypeForUrl, urls), route.swaps);
+    });
+}
+
+test('a repeated URL is not a navigation', () => {
+    const url = routes[0].steps[0].url;
+    const tracker = createRouteTracker(getPageTypeForUrl, url);
+    assert.deepEqual(tracker.update(url), { urlChanged: false, pageTypeChanged: false, pageType: 'assignments' });
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts.js');
+
+const { DEFAULT_SCHEDULE_SETTINGS, validateScheduleSettings, resolveScheduledTheme } = loadScripts('shared/schedule.js');
+
+test('accepts the default settings and settings saved from the options page', () => {
+    assert.deepEqual(validateScheduleSettings(DEFAULT_SCHEDULE_SETTINGS), []);
+    assert.deepEqual(validateScheduleSettings({ ...DEFAULT_SCHEDULE_SETTINGS, mode: 'system' }), []);
+    assert.deepEqual(validateScheduleSettings({
+        mode: 'schedule',
+        system: { light: 'default', dark: 'dark' },
+        schedule: [{ start: '06:30', theme: 'forest-mist' }, { start: '22:00', theme: 'custom-calm' }]
+    }), []);
+});
+
+test('rejects settings without a known mode', () => {
+    for (const settings of [null, undefined, 'schedule', [], { mode: 'hourly' }]) {
+        assert.deepEqual(validateScheduleSettings(settings), ['Pick how themes should be switched'], String(settings));
+    }
+});
+
+test('rejects a schedule that is not a list, without throwing', () => {
+    for (const schedule of [{}, null, undefined, 'dark', 7]) {
+        assert.deepEqual(validateScheduleSettings({ mode: 'schedule', schedule }), ['The schedule is malformed'], String(schedule));
+    }
+});
+
+test('rejects schedule entries that are not objects or lack a time and theme', () => {
+    assert.deepEqual(validateScheduleSettings({ mode: 'schedule', schedule: [null, 'dark'] }), [
+        'Every schedule entry needs a time and a theme',
+        'Every schedule entry needs a time and a theme'
+    ]);
+    assert.deepEqual(validateScheduleSettings({
+        mode: 'schedule',
+        schedule: [{ start: '7:00', theme: 'dark' }, { start: '19:00', theme: {} }, { start: '19:00', theme: 'dark' }]
+    }), [
+        '"7:00" is not a time like 19:00',
+        'Pick a theme for 19:00',
+        '19:00 is in the schedule twice'
+    ]);
+    assert.deepEqual(validateScheduleSettings({ mode: 'schedule', schedule: [] }), ['Add at least one time to the schedule']);
+});
+
+test('rejects system themes that are not theme IDs', () => {
+    for (const system of [{ light: 5, dark: {} }, { light: 'default' }, null, 'dark']) {
+        assert.deepEqual(validateScheduleSettings({ mode: 'system', system }), ['Pick a theme for both light and dark mode'], JSON.stringify(system));
+    }
+});
+
+test('picks the latest entry that has started, wrapping around midnight', () => {
+    const settings = { mode: 'schedule', schedule: [{ start: '19:00', theme: 'dark' }, { start: '07:00', theme: 'default' }] };
+    assert.equal(resolveScheduledTheme(settings, new Date(2024, 0, 1, 12, 0), false), 'default');
+    assert.equal(resolveScheduledTheme(settings, new Date(2024, 0, 1, 20, 0), false), 'dark');
+    assert.equal(resolveScheduledTheme(settings, new Date(2024, 0, 1, 3, 0), false), 'dark');
+});
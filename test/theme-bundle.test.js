@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts.js');
+
+const { createThemeBundle, validateThemeBundle } = loadScripts(
+    'shared/page-types.js',
+    'shared/palette.js',
+    'shared/theme-manifest.js',
+    'shared/theme-bundle.js'
+);
+
+/**
+ * Makes a bundle with the given CSS, as exported from another browser
+ * @param {Object} css CSS text keyed by page type
+ * @returns {Object} The bundle after a trip through JSON
+ */
+function bundleWithCss(css) {
+    return JSON.parse(JSON.stringify(createThemeBundle('dark', { name: 'Dark' }, null, css)));
+}
+
+test('accepts CSS for some of the page types', () => {
+    assert.deepEqual(validateThemeBundle(bundleWithCss({ home: 'body { color: red; }', exam: 'body {}' })), []);
+});
+
+test('rejects CSS under keys that are not page types', () => {
+    assert.deepEqual(validateThemeBundle(bundleWithCss({ home: 'body {}', palette: 'body {}' })), [
+        'Bundle has CSS for "palette", which is not a page type'
+    ]);
+    assert.deepEqual(validateThemeBundle(bundleWithCss({ constructor: 'body {}' })), [
+        'Bundle has CSS for "constructor", which is not a page type'
+    ]);
+});
+
+test('rejects empty CSS and bundles without any', () => {
+    assert.deepEqual(validateThemeBundle(bundleWithCss({ home: ' ' })), ['Bundle has empty home CSS']);
+    assert.deepEqual(validateThemeBundle(bundleWithCss({})), ['Bundle has no CSS for any page type']);
+});
+
+test('rejects preview colors that are not hex colors', () => {
+    const bundle = bundleWithCss({ home: 'body {}' });
+    bundle.manifest.preview = { background: '#1e1e2e', accent: 'red; background-image: url(https://example.com/x)' };
+    assert.deepEqual(validateThemeBundle(bundle), ['preview color "accent" must be a hex color']);
+
+    bundle.manifest.preview = ['#1e1e2e'];
+    assert.deepEqual(validateThemeBundle(bundle), ['"preview" must be an object of colors']);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts.js');
+
+const { validateThemeManifest } = loadScripts('shared/page-types.js', 'shared/palette.js', 'shared/theme-manifest.js');
+
+const PALETTE = {
+    background: '#1e1e2e',
+    surface: '#313244',
+    text: '#cdd6f4',
+    accent: '#89b4fa',
+    border: '#45475a',
+    input: '#181825'
+};
+
+test('accepts CSS files for any subset of page types', () => {
+    const { config, errors } = validateThemeManifest({ name: 'Dark', version: '1.0.0', files: { grades: 'grades.css' } }, 'themes/dark');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(config.files, { grades: 'grades.css' });
+});
+
+test('accepts a palette theme without files', () => {
+    const { errors } = validateThemeManifest({ name: 'Mist', version: '1.0.0', palette: PALETTE }, 'themes/mist');
+    assert.deepEqual(errors, []);
+});
+
+test('rejects file keys that are not page types', () => {
+    for (const key of ['palette', 'constructor', 'dashboard']) {
+        const { config, errors } = validateThemeManifest({ name: 'Bad', version: '1.0.0', files: { [key]: 'a.css' } }, 'themes/bad');
+        assert.equal(config, null);
+        assert.match(errors[0], new RegExp(`^"${key}" is not a page type`));
+    }
+
+    const { errors } = validateThemeManifest(
+        { name: 'Bad', version: '1.0.0', palette: PALETTE, optionalFiles: { palette: 'a.css' } },
+        'themes/bad'
+    );
+    assert.match(errors[0], /^"palette" is not a page type/);
+});
+
+test('needs a file for at least one page type unless there is a palette', () => {
+    const { errors } = validateThemeManifest({ name: 'Empty', version: '1.0.0', files: {} }, 'themes/empty');
+    assert.deepEqual(errors, ['"files" must list a CSS file for at least one page type']);
+});
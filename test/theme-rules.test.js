@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts.js');
+
+const { DEFAULT_THEME_RULES, validateThemeRules, resolveThemeForPage } = loadScripts('shared/page-types.js', 'shared/theme-rules.js');
+
+const COURSE_WEEK_URL = 'https://seek.onlinedegree.iitm.ac.in/courses/ns_24t1_cs1002?id=31&unitId=30';
+
+test('accepts the default rules and rules saved from the options page', () => {
+    assert.deepEqual(validateThemeRules(DEFAULT_THEME_RULES), []);
+    assert.deepEqual(validateThemeRules({
+        pageTypes: { home: null, assignments: 'dark', exam: 'custom-calm' },
+        courses: [{ match: 'ns_24t1_cs1002', theme: 'forest-mist' }]
+    }), []);
+});
+
+test('rejects rules without a page type map', () => {
+    for (const pageTypes of [null, [], 'dark', undefined]) {
+        assert.deepEqual(validateThemeRules({ pageTypes, courses: [] }), ['Theme rules are malformed'], String(pageTypes));
+    }
+    assert.deepEqual(validateThemeRules(null), ['Theme rules are malformed']);
+});
+
+test('rejects page types we do not know and themes that are not IDs', () => {
+    assert.deepEqual(validateThemeRules({ pageTypes: { dashboard: 'dark', constructor: 'dark' }, courses: [] }), [
+        '"dashboard" is not a page type',
+        '"constructor" is not a page type'
+    ]);
+    assert.deepEqual(validateThemeRules({ pageTypes: { home: 3 }, courses: [] }), ['The theme for Home pages must be a theme ID']);
+});
+
+test('rejects incomplete course rules', () => {
+    assert.deepEqual(validateThemeRules({ pageTypes: {}, courses: [null, { match: 'cs1002' }] }), [
+        'Every course rule needs a course ID or URL to match',
+        'Pick a theme for courses matching "cs1002"'
+    ]);
+});
+
+test('a course week follows the assignments theme unless it has its own', () => {
+    const rules = { pageTypes: { assignments: 'dark' }, courses: [] };
+    assert.equal(resolveThemeForPage(rules, 'default', COURSE_WEEK_URL, 'course-week'), 'dark');
+
+    rules.pageTypes['course-week'] = 'forest-mist';
+    assert.equal(resolveThemeForPage(rules, 'default', COURSE_WEEK_URL, 'course-week'), 'forest-mist');
+
+    rules.courses.push({ match: 'ns_24t1_cs1002', theme: 'purple-night' });
+    assert.equal(resolveThemeForPage(rules, 'default', COURSE_WEEK_URL, 'course-week'), 'purple-night');
+});
@@ -0,0 +1,61 @@
+// Serves test/fixtures/index/ from localhost, the way a theme author tries out an index
+// source before publishing it, and reads it through the background script's index fetcher.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const { loadBackground } = require('./helpers/load-scripts.js');
+
+const { validateThemeSource, fetchIndexSource } = loadBackground();
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'index');
+
+let server;
+let source;
+
+before(async () => {
+    server = http.createServer((request, response) => {
+        const file = path.join(FIXTURE_DIR, decodeURIComponent(new URL(request.url, 'http://localhost').pathname));
+        if (!file.startsWith(FIXTURE_DIR) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+            response.writeHead(404).end();
+            return;
+        }
+        const type = file.endsWith('.css') ? 'text/css' : 'application/json';
+        response.writeHead(200, { 'Content-Type': type, ETag: '"fixture"' });
+        response.end(fs.readFileSync(file));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    source = { id: 'local', type: 'index', name: 'Local', url: `http://127.0.0.1:${server.address().port}/index.json` };
+});
+
+after(() => server.close());
+
+test('a localhost index is an allowed source, plain http elsewhere is not', () => {
+    assert.deepEqual(validateThemeSource(source), []);
+    assert.deepEqual(validateThemeSource({ ...source, url: 'http://themes.example.com/index.json' }), [
+        'Index URLs must start with https:// (or http://localhost for testing)'
+    ]);
+});
+
+test('reads every theme in the index, namespaced by the source', async () => {
+    const result = await fetchIndexSource(source);
+
+    assert.equal(result.etag, '"fixture"');
+    assert.deepEqual(Object.keys(result.configs).sort(), ['local:inline', 'local:night', 'local:paper']);
+
+    const night = result.configs['local:night'];
+    assert.deepEqual(night.files, { assignments: 'assignments.css' });
+    assert.equal(night.baseUrl, `http://127.0.0.1:${server.address().port}/night`);
+    assert.equal(night.source, 'local');
+
+    assert.equal(result.configs['local:paper'].palette.accent, '#0969da');
+    assert.equal(result.configs['local:inline'].name, 'Inline');
+});
+
+test('lists themes with an invalid theme.json, and skips folder names outside the index', async () => {
+    const result = await fetchIndexSource(source);
+
+    assert.deepEqual(Object.keys(result.errors), ['local:broken']);
+    assert.ok(result.errors['local:broken'].some(error => error.startsWith('"palette" is not a page type')));
+    assert.ok(!Object.keys(result.configs).some(themeId => themeId.includes('outside')));
+});
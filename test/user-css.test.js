@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts.js');
+
+const { USER_CSS_ALL_THEMES, validateUserCss, setUserCss, getUserCss } = loadScripts('shared/page-types.js', 'shared/user-css.js');
+
+test('accepts CSS for a theme or all themes on a page type', () => {
+    assert.deepEqual(validateUserCss('dark', 'assignments', '.card{color:red}'), []);
+    assert.deepEqual(validateUserCss(USER_CSS_ALL_THEMES, 'course-week', ''), []);
+});
+
+test('rejects page types we do not know, including other storage keys', () => {
+    for (const pageType of ['palette', 'constructor', 'dashboard', '', null]) {
+        assert.deepEqual(validateUserCss('dark', pageType, 'p{}'), ['Pick which page type the CSS is for'], String(pageType));
+    }
+});
+
+test('the theme-specific CSS comes after the all-themes CSS, and empty CSS removes an override', () => {
+    let userCss = setUserCss({}, USER_CSS_ALL_THEMES, 'home', 'a{}');
+    userCss = setUserCss(userCss, 'dark', 'home', 'b{}');
+    assert.equal(getUserCss(userCss, 'dark', 'home'), 'a{}\nb{}');
+
+    userCss = setUserCss(userCss, 'dark', 'home', '  ');
+    assert.deepEqual(userCss, { [USER_CSS_ALL_THEMES]: { home: 'a{}' } });
+});